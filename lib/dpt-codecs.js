@@ -0,0 +1,277 @@
+'use strict';
+
+/**
+ * Codecs for compound DPTs that knx.js either does not support or decodes into objects
+ * that cannot be stored in an ioBroker state.
+ *
+ * Every codec converts between the raw telegram payload and a well-defined ioBroker value:
+ * - `decode(buf)` -> value stored in the state
+ * - `encode(val)` -> Buffer written to the bus (accepts the decoded representation and a few aliases)
+ */
+
+/**
+ * @typedef {object} DptCodec
+ * @property {number|((buf: Buffer, val: any) => number)} bitlength payload length in bits (or per written value)
+ * @property {{type: ioBroker.CommonType, role: string, unit?: string, min?: number, max?: number}} common
+ * @property {(buf: Buffer) => any} decode
+ * @property {(val: any) => Buffer} encode
+ */
+
+/**
+ * @param {number} n
+ * @returns {string}
+ */
+function hex2(n) {
+  return n.toString(16).padStart(2, '0');
+}
+
+/**
+ * @param {number} n
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function clamp(n, min, max) {
+  return Math.min(max, Math.max(min, n));
+}
+
+/**
+ * Accept JSON strings for object values (scripts often write `JSON.stringify(...)`).
+ * @param {any} val
+ * @returns {any}
+ */
+function parseJsonValue(val) {
+  if (typeof val !== 'string') return val;
+  const s = val.trim();
+  if (!s.startsWith('{') && !s.startsWith('[')) return val;
+  try {
+    return JSON.parse(s);
+  } catch {
+    return val;
+  }
+}
+
+/**
+ * Parse a hex colour with the given number of channels (`#rrggbb`, `rrggbb`, `#rrggbbww`).
+ * @param {string} s
+ * @param {number} channels
+ * @returns {number[]|undefined}
+ */
+function parseHexColor(s, channels) {
+  const m = /^#?([0-9a-f]+)$/i.exec(String(s).trim());
+  if (!m || m[1].length !== channels * 2) return undefined;
+  const out = [];
+  for (let i = 0; i < channels; i++) out.push(parseInt(m[1].slice(i * 2, i * 2 + 2), 16));
+  return out;
+}
+
+/**
+ * Read colour channels from an object such as `{red, green, blue}` or `{r, g, b}`.
+ * @param {any} o
+ * @param {Array<[string, string]>} keys long/short key names per channel
+ * @returns {number[]|undefined}
+ */
+function colorFromObject(o, keys) {
+  if (!o || typeof o !== 'object') return undefined;
+  if (Array.isArray(o)) return keys.map((_, i) => clamp(Math.round(Number(o[i]) || 0), 0, 255));
+  return keys.map(([long, short]) => clamp(Math.round(Number(o[long] ?? o[short]) || 0), 0, 255));
+}
+
+/** @type {DptCodec} DPT 232.600 – RGB as `#rrggbb` */
+const DPT232_RGB = {
+  bitlength: 24,
+  common: { type: 'string', role: 'level.color.rgb' },
+  decode(buf) {
+    return `#${hex2(buf[0] || 0)}${hex2(buf[1] || 0)}${hex2(buf[2] || 0)}`;
+  },
+  encode(val) {
+    const v = parseJsonValue(val);
+    const rgb = (typeof v === 'string' ? parseHexColor(v, 3) : undefined) ||
+      colorFromObject(v, [['red', 'r'], ['green', 'g'], ['blue', 'b']]);
+    if (!rgb) throw new Error(`Invalid RGB value: ${JSON.stringify(val)} (expected #rrggbb)`);
+    return Buffer.from(rgb);
+  }
+};
+
+/** @type {DptCodec} DPT 251.600 – RGBW as `#rrggbbww` */
+const DPT251_RGBW = {
+  bitlength: 48,
+  common: { type: 'string', role: 'level.color.rgbw' },
+  decode(buf) {
+    // byte 5: validity bits mR mG mB mW (bit 3..0); invalid channels are reported as 0
+    const valid = buf[5] === undefined ? 0x0f : buf[5];
+    const ch = (i, bit) => ((valid >> bit) & 1 ? buf[i] || 0 : 0);
+    return `#${hex2(ch(0, 3))}${hex2(ch(1, 2))}${hex2(ch(2, 1))}${hex2(ch(3, 0))}`;
+  },
+  encode(val) {
+    const v = parseJsonValue(val);
+    let rgbw;
+    if (typeof v === 'string') {
+      // plain #rrggbb is accepted with white = 0
+      const rgb = parseHexColor(v, 3);
+      rgbw = parseHexColor(v, 4) || (rgb ? [...rgb, 0] : undefined);
+    } else {
+      rgbw = colorFromObject(v, [['red', 'r'], ['green', 'g'], ['blue', 'b'], ['white', 'w']]);
+    }
+    if (!rgbw) throw new Error(`Invalid RGBW value: ${JSON.stringify(val)} (expected #rrggbbww)`);
+    return Buffer.from([...rgbw, 0x00, 0x0f]);
+  }
+};
+
+/** @type {DptCodec} DPT 242.600 – xyY colour as JSON `{"x":0..1,"y":0..1,"brightness":0..100}` */
+const DPT242_XYY = {
+  bitlength: 48,
+  common: { type: 'string', role: 'json' },
+  decode(buf) {
+    const flags = buf[5] || 0;
+    const out = {};
+    if (flags & 0x02) {
+      out.x = Math.round((buf.readUInt16BE(0) / 65535) * 10000) / 10000;
+      out.y = Math.round((buf.readUInt16BE(2) / 65535) * 10000) / 10000;
+    }
+    if (flags & 0x01) {
+      out.brightness = Math.round((buf[4] / 255) * 1000) / 10;
+    }
+    return JSON.stringify(out);
+  },
+  encode(val) {
+    const v = parseJsonValue(val);
+    if (!v || typeof v !== 'object') throw new Error(`Invalid xyY value: ${JSON.stringify(val)} (expected {"x","y","brightness"})`);
+
+    const buf = Buffer.alloc(6);
+    let flags = 0;
+    if (v.x !== undefined && v.y !== undefined) {
+      buf.writeUInt16BE(Math.round(clamp(Number(v.x) || 0, 0, 1) * 65535), 0);
+      buf.writeUInt16BE(Math.round(clamp(Number(v.y) || 0, 0, 1) * 65535), 2);
+      flags |= 0x02;
+    }
+    const brightness = v.brightness ?? v.Y;
+    if (brightness !== undefined) {
+      buf[4] = Math.round((clamp(Number(brightness) || 0, 0, 100) / 100) * 255);
+      flags |= 0x01;
+    }
+    buf[5] = flags;
+    return buf;
+  }
+};
+
+/** @type {DptCodec} DPT 235.001 – tariff + active energy as JSON `{"energy":Wh,"tariff":0..254}` */
+const DPT235_TARIFF_ENERGY = {
+  bitlength: 48,
+  common: { type: 'string', role: 'json' },
+  decode(buf) {
+    const flags = buf[5] || 0;
+    const out = {};
+    // validity bits are inverted (0 = valid): bit 0 tariff, bit 1 energy
+    if (!(flags & 0x02)) out.energy = buf.readInt32BE(0);
+    if (!(flags & 0x01)) out.tariff = buf[4];
+    return JSON.stringify(out);
+  },
+  encode(val) {
+    const v = parseJsonValue(val);
+    const obj = typeof v === 'number' ? { energy: v } : v;
+    if (!obj || typeof obj !== 'object') throw new Error(`Invalid tariff/energy value: ${JSON.stringify(val)} (expected {"energy","tariff"})`);
+
+    const buf = Buffer.alloc(6);
+    let flags = 0;
+    if (obj.energy !== undefined && Number.isFinite(Number(obj.energy))) {
+      buf.writeInt32BE(clamp(Math.round(Number(obj.energy)), -2147483648, 2147483647), 0);
+    } else {
+      flags |= 0x02;
+    }
+    if (obj.tariff !== undefined && Number.isFinite(Number(obj.tariff))) {
+      buf[4] = clamp(Math.round(Number(obj.tariff)), 0, 254);
+    } else {
+      flags |= 0x01;
+    }
+    buf[5] = flags;
+    return buf;
+  }
+};
+
+/**
+ * DPT 3.007 / 3.008 – relative dimming / blind control as signed step number:
+ * `+1..+7` increase (3.007) / down (3.008), `-1..-7` decrease / up, `0` stop.
+ * The magnitude is the KNX step code (1 = 100 %, 7 = 1/64).
+ * @type {DptCodec}
+ */
+const DPT3_CONTROL = {
+  bitlength: 4,
+  common: { type: 'number', role: 'level', min: -7, max: 7 },
+  decode(buf) {
+    const b = buf[0] || 0;
+    const step = b & 0x07;
+    if (!step) return 0;
+    return b & 0x08 ? step : -step;
+  },
+  encode(val) {
+    const v = parseJsonValue(val);
+    if (v && typeof v === 'object') {
+      // knx.js representation {decr_incr, data}
+      return Buffer.from([((Number(v.decr_incr) ? 1 : 0) << 3) | (Number(v.data) & 0x07)]);
+    }
+    let n = typeof v === 'boolean' ? (v ? 1 : -1) : Math.round(Number(v));
+    if (!Number.isFinite(n)) throw new Error(`Invalid control value: ${JSON.stringify(val)} (expected -7..7)`);
+    n = clamp(n, -7, 7);
+    if (n === 0) return Buffer.from([0]);
+    return Buffer.from([(n > 0 ? 0x08 : 0) | Math.abs(n)]);
+  }
+};
+
+/**
+ * Raw fallback for GAs without DPT or with a DPT unknown to knx.js.
+ * The payload is shown as hex string (`"0c1a"`). Writes accept hex strings (full bytes) and
+ * booleans / integers 0..63, which are sent as short (6 bit) payload like DPT 1/2/3.
+ * @type {DptCodec}
+ */
+const RAW_CODEC = {
+  bitlength(buf, val) {
+    const short = (typeof val === 'boolean' || typeof val === 'number') && buf.length === 1 && buf[0] <= 0x3f;
+    return short ? 6 : buf.length * 8;
+  },
+  common: { type: 'string', role: 'text' },
+  decode(buf) {
+    return buf.toString('hex');
+  },
+  encode(val) {
+    if (Buffer.isBuffer(val)) return val;
+    if (typeof val === 'boolean') return Buffer.from([val ? 1 : 0]);
+    if (typeof val === 'number') {
+      if (!Number.isInteger(val) || val < 0 || val > 0xff) throw new Error(`Invalid raw value: ${val} (expected 0..255 or hex string)`);
+      return Buffer.from([val]);
+    }
+    const hex = String(val ?? '').trim().replace(/^0x/i, '').replace(/[\s:_-]/g, '');
+    if (!hex || hex.length % 2 || !/^[0-9a-f]+$/i.test(hex)) {
+      throw new Error(`Invalid raw value: ${JSON.stringify(val)} (expected hex string like "0c1a")`);
+    }
+    if (hex.length > 28) throw new Error('Raw value too long (max. 14 bytes)');
+    return Buffer.from(hex, 'hex');
+  }
+};
+
+/**
+ * Main DPT types knx.js can encode/decode itself.
+ */
+const KNXJS_DPT_MAJORS = new Set([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 232, 237, 238]);
+
+/**
+ * Built-in compound codecs by DPT (major or major.minor).
+ * @type {Record<string, DptCodec>}
+ */
+const BUILTIN_CODECS = {
+  '3': DPT3_CONTROL,
+  '232.600': DPT232_RGB,
+  '232': DPT232_RGB,
+  '242.600': DPT242_XYY,
+  '242': DPT242_XYY,
+  '251.600': DPT251_RGBW,
+  '251': DPT251_RGBW,
+  '235.001': DPT235_TARIFF_ENERGY,
+  '235': DPT235_TARIFF_ENERGY
+};
+
+module.exports = {
+  BUILTIN_CODECS,
+  RAW_CODEC,
+  KNXJS_DPT_MAJORS
+};
@@ -0,0 +1,234 @@
+'use strict';
+
+const { scanTags } = require('./xml-lite');
+
+/**
+ * Decode an exported text file. ETS writes UTF-8 (with or without BOM), UTF-16 or Windows-1252.
+ * @param {Buffer} buf
+ * @returns {string}
+ */
+function decodeText(buf) {
+  if (buf.length >= 2 && buf[0] === 0xff && buf[1] === 0xfe) return buf.subarray(2).toString('utf16le');
+  if (buf.length >= 2 && buf[0] === 0xfe && buf[1] === 0xff) {
+    const swapped = Buffer.from(buf.subarray(2));
+    swapped.swap16();
+    return swapped.toString('utf16le');
+  }
+  if (buf.length >= 3 && buf[0] === 0xef && buf[1] === 0xbb && buf[2] === 0xbf) return buf.subarray(3).toString('utf8');
+
+  const utf8 = buf.toString('utf8');
+  // invalid UTF-8 sequences -> most likely Windows-1252 (umlauts)
+  return utf8.includes('\uFFFD') ? buf.toString('latin1') : utf8;
+}
+
+/**
+ * Split CSV text into rows/fields (RFC 4180 quoting).
+ * @param {string} text
+ * @param {string} sep
+ * @returns {string[][]}
+ */
+function parseCsv(text, sep) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else {
+        field += c;
+      }
+      continue;
+    }
+
+    if (c === '"') {
+      quoted = true;
+    } else if (c === sep) {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((f) => f.trim()));
+}
+
+/**
+ * @param {string} line
+ * @returns {string}
+ */
+function detectSeparator(line) {
+  const counts = [';', ',', '\t'].map((sep) => [sep, line.split(sep).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ';';
+}
+
+const ADDRESS_RE = /^\d+(?:\/(?:\d+|-)){0,2}$/;
+
+/**
+ * @param {string[]} header
+ * @param {string[]} names lower-case candidates
+ * @returns {number}
+ */
+function findColumn(header, names) {
+  return header.findIndex((h) => names.includes(String(h).trim().toLowerCase()));
+}
+
+/**
+ * Parse an ETS "Export Group Addresses" CSV file (formats "1/1" and "3/1", with or without header).
+ * @param {string} text
+ * @returns {Array<{groupRangePath:string[], name:string, address:string, datapointType?:string, description?:string}>}
+ */
+function parseGaExportCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const rows = parseCsv(text, detectSeparator(firstLine));
+  if (!rows.length) return [];
+
+  let cols;
+  const header = rows[0].map((h) => h.trim().toLowerCase());
+  const addrIdx = findColumn(header, ['address', 'adresse', 'group address', 'gruppenadresse']);
+
+  if (addrIdx >= 0) {
+    cols = {
+      main: findColumn(header, ['main', 'hauptgruppe']),
+      middle: findColumn(header, ['middle', 'mittelgruppe']),
+      sub: findColumn(header, ['sub', 'untergruppe']),
+      name: findColumn(header, ['group name', 'name', 'gruppenname']),
+      address: addrIdx,
+      description: findColumn(header, ['description', 'beschreibung']),
+      dpt: findColumn(header, ['datapointtype', 'datapoint type', 'dpt', 'dpts', 'datenpunkttyp'])
+    };
+    rows.shift();
+  } else if (rows[0].length >= 4 && ADDRESS_RE.test(String(rows[0][3]).trim())) {
+    // "3/1" format without header: Main;Middle;Sub;Address;Central;Unfiltered;Description;DatapointType;Security
+    cols = { main: 0, middle: 1, sub: 2, name: -1, address: 3, description: 6, dpt: 7 };
+  } else if (rows[0].length >= 2 && ADDRESS_RE.test(String(rows[0][1]).trim())) {
+    // "1/1" format without header: Group name;Address;Central;Unfiltered;Description;DatapointType;Security
+    cols = { main: -1, middle: -1, sub: -1, name: 0, address: 1, description: 4, dpt: 5 };
+  } else {
+    throw new Error('Unrecognized ETS group address CSV export (no "Address" column found)');
+  }
+
+  const cell = (row, idx) => (idx >= 0 && row[idx] !== undefined ? String(row[idx]).trim() : '');
+
+  /** @type {Map<string, string>} "1" / "1/2" -> range name */
+  const rangeNames = new Map();
+  const out = [];
+
+  for (const row of rows) {
+    const address = cell(row, cols.address);
+    if (!ADDRESS_RE.test(address)) continue;
+
+    const parts = address.split('/');
+    const rangeIdx = parts.indexOf('-');
+
+    if (rangeIdx >= 0) {
+      // group range row, e.g. "1/-/-" (main) or "1/2/-" (middle)
+      const key = parts.slice(0, rangeIdx).join('/');
+      const name = (rangeIdx === 1 ? cell(row, cols.main) : cell(row, cols.middle)) || cell(row, cols.name) || key;
+      rangeNames.set(key, name);
+      continue;
+    }
+
+    const groupRangePath = [];
+    for (let i = 1; i < parts.length; i++) {
+      const key = parts.slice(0, i).join('/');
+      if (rangeNames.has(key)) groupRangePath.push(rangeNames.get(key));
+    }
+
+    out.push({
+      groupRangePath,
+      name: cell(row, cols.sub) || cell(row, cols.name) || address,
+      address,
+      datapointType: cell(row, cols.dpt).split(/[,\s]+/)[0] || undefined,
+      description: cell(row, cols.description) || undefined
+    });
+  }
+
+  return out;
+}
+
+/**
+ * Parse an ETS "Export Group Addresses" XML file (`<GroupAddress-Export>`).
+ * @param {string} text
+ * @returns {Array<{groupRangePath:string[], name:string, address:string, datapointType?:string, description?:string}>}
+ */
+function parseGaExportXml(text) {
+  if (!/<GroupAddress-Export\b/.test(text)) {
+    throw new Error('File is not an ETS group address XML export');
+  }
+
+  const out = [];
+  const stack = [];
+
+  for (const t of scanTags(text)) {
+    if (t.tag === 'GroupRange') {
+      if (t.close) stack.pop();
+      else if (!t.selfClosing) stack.push(t.attrs.Name || '');
+      continue;
+    }
+    if (t.tag !== 'GroupAddress' || t.close) continue;
+
+    const address = String(t.attrs.Address || '').trim();
+    if (!address) continue;
+
+    out.push({
+      groupRangePath: stack.filter(Boolean),
+      name: t.attrs.Name || address,
+      address,
+      datapointType: String(t.attrs.DPTs || t.attrs.DatapointType || '').split(/[,\s]+/)[0] || undefined,
+      description: t.attrs.Description || undefined
+    });
+  }
+
+  return out;
+}
+
+/**
+ * Detect the group address style from the address notation.
+ * @param {Array<{address:string}>} groups
+ * @returns {'ThreeLevel'|'TwoLevel'|'Free'}
+ */
+function detectGaStyle(groups) {
+  const first = groups.find((g) => g.address);
+  if (!first) return 'ThreeLevel';
+  const parts = first.address.split('/').length;
+  if (parts === 3) return 'ThreeLevel';
+  if (parts === 2) return 'TwoLevel';
+  return 'Free';
+}
+
+/**
+ * Parse an ETS group address export (CSV or XML).
+ * @param {Buffer} file
+ * @param {'csv'|'xml'} format
+ * @returns {{style:'ThreeLevel'|'TwoLevel'|'Free', groups: Array<{groupRangePath:string[], name:string, address:string, datapointType?:string, description?:string}>}}
+ */
+function parseGaExport(file, format) {
+  const text = decodeText(file);
+  const groups = format === 'xml' ? parseGaExportXml(text) : parseGaExportCsv(text);
+  return { style: detectGaStyle(groups), groups };
+}
+
+module.exports = {
+  parseGaExport
+};
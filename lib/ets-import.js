@@ -6,9 +6,13 @@ const crypto = require('crypto');
 
 const {
   groupAddressNumberToString,
+  groupAddressStringToNumber,
   etsDptToKnxDpt,
   sanitizeIdSegment
 } = require('./knx-utils');
+const { parseGaExport } = require('./ets-ga-export');
+const { readEtsStructure, classifyFunction } = require('./ets-structure');
+const { ZipPasswordError, readZip, extractEntry, writeZip } = require('./zip-lite');
 
 let etsProjParser;
 try {
@@ -75,6 +79,50 @@ function buildFlagsByGroupAddressId(result) {
   return map;
 }
 
+/**
+ * Detect command/status GA pairs from communication object connectors.
+ *
+ * A CO that sends on one GA and listens on others (typical: push button with status feedback,
+ * flags W + T) links its sending GA (command) with a listening GA that another CO transmits on
+ * (the actuator's status object). Central GAs, which nobody transmits on, are not paired.
+ *
+ * @param {any} result
+ * @returns {Map<string, string>} command GA_ID -> status GA_ID
+ */
+function buildStatusPairs(result) {
+  const transmitted = new Set();
+  const candidates = [];
+
+  const areas = result?.topology?.areas || [];
+  for (const area of areas) {
+    for (const line of area?.lines || []) {
+      for (const device of line?.devices || []) {
+        for (const cor of device?.communicationObjectReferences || []) {
+          if (!cor || cor.isActive === false) continue;
+
+          for (const conn of cor?.connectors || []) {
+            const send = (conn?.send || []).map((s) => s?.__groupAddressRefID).filter(Boolean);
+            const receive = (conn?.receive || []).map((r) => r?.__groupAddressRefID || r?.__groupAddressRedID).filter(Boolean);
+
+            if (cor.transmitFlag) send.forEach((id) => transmitted.add(id));
+            if (cor.transmitFlag && cor.writeFlag && send.length && receive.length) {
+              candidates.push({ command: send[0], listen: receive.filter((id) => id !== send[0]) });
+            }
+          }
+        }
+      }
+    }
+  }
+
+  const pairs = new Map();
+  for (const { command, listen } of candidates) {
+    if (pairs.has(command)) continue;
+    const status = listen.find((id) => transmitted.has(id) && id !== command);
+    if (status) pairs.set(command, status);
+  }
+  return pairs;
+}
+
 /**
  * Recursively traverse group ranges and collect group addresses.
  * @param {any[]} groupRanges
@@ -103,18 +151,244 @@ function walkGroupRanges(groupRanges, pathSegments, out) {
 }
 
 /**
- * Import ETS .knxproj file from ioBroker file storage.
+ * ETS 6 does not use the project password directly as ZIP password, but a PBKDF2 hash of it.
+ * @param {string} password
+ * @returns {string}
+ */
+function ets6ZipPassword(password) {
+  return crypto
+    .pbkdf2Sync(Buffer.from(password, 'utf16le'), '21.project.ets.knx.org', 65536, 32, 'sha256')
+    .toString('base64');
+}
+
+/**
+ * Unpack a password protected project.
+ *
+ * Protected projects contain the project data as encrypted inner ZIP (`P-xxxx.zip`) instead of a
+ * `P-xxxx/` folder. The project is rebuilt as an unprotected `.knxproj` for the parser.
+ * Unprotected projects are returned unchanged.
+ *
+ * @param {Buffer} file
+ * @param {string} [password]
+ * @returns {Buffer}
+ */
+function unlockEtsProject(file, password) {
+  const entries = readZip(file);
+  const inner = entries.find((e) => /^P-[0-9A-F]+\.zip$/i.test(e.name));
+  if (!inner) return file;
+
+  if (!password) {
+    throw new Error('ETS project is password protected, but no project password is configured');
+  }
+
+  const projectId = inner.name.slice(0, -4);
+  const innerEntries = readZip(extractEntry(inner)).filter((e) => !e.name.endsWith('/'));
+
+  let projectFiles;
+  for (const candidate of [password, ets6ZipPassword(password)]) {
+    try {
+      projectFiles = innerEntries.map((e) => ({ name: `${projectId}/${e.name}`, data: extractEntry(e, candidate) }));
+      break;
+    } catch (e) {
+      if (!(e instanceof ZipPasswordError)) throw e;
+    }
+  }
+  if (!projectFiles) {
+    throw new Error('ETS project password is wrong');
+  }
+
+  const otherFiles = entries
+    .filter((e) => e !== inner && !e.name.endsWith('/'))
+    .map((e) => ({ name: e.name, data: extractEntry(e) }));
+
+  return writeZip([...otherFiles, ...projectFiles]);
+}
+
+/**
+ * Default flags for GA exports (CSV/XML), which carry no communication object information.
+ * Writes are allowed, no GroupValueRead on start.
+ */
+const EXPORT_DEFAULT_FLAGS = { readFlag: false, writeFlag: true, transmitFlag: true, updateFlag: false };
+
+/**
+ * Import format by file extension.
+ * @param {string} fileName
+ * @returns {'knxproj'|'csv'|'xml'}
+ */
+function detectImportFormat(fileName) {
+  const lower = String(fileName).toLowerCase();
+  if (lower.endsWith('.csv')) return 'csv';
+  if (lower.endsWith('.xml')) return 'xml';
+  return 'knxproj';
+}
+
+/**
+ * @param {string} gaStr
+ * @returns {string}
+ */
+function gaIdSegment(gaStr) {
+  return sanitizeIdSegment(gaStr.replace(/\//g, '_'));
+}
+
+/**
+ * Last id segment of a GA state.
+ * @param {{ga:string, name?:string}} entry
+ * @param {'rangePath'|'address'|'name'} [idSchema]
+ * @returns {string}
+ */
+function idLeaf(entry, idSchema) {
+  return idSchema === 'name' && entry.name ? sanitizeIdSegment(entry.name) : gaIdSegment(entry.ga);
+}
+
+/**
+ * Build an import entry with an ioBroker id according to the id schema:
+ * - `rangePath` (default): `ga.<sanitized path>.<x_y_z>`
+ * - `address`: `ga.<x_y_z>` – stable across any rename in ETS
+ * - `name`: `ga.<sanitized path>.<sanitized GA name>`
+ * @param {string[]} groupRangePath
+ * @param {string} gaStr
+ * @param {{name?:string, description?:string, dpt?:string, flags:{readFlag:boolean, writeFlag:boolean, transmitFlag:boolean, updateFlag:boolean}}} data
+ * @param {'rangePath'|'address'|'name'} [idSchema]
+ */
+function buildEntry(groupRangePath, gaStr, data, idSchema) {
+  const name = String(data.name || gaStr);
+  const segs = idSchema === 'address' ? ['ga'] : ['ga', ...groupRangePath.map(sanitizeIdSegment)];
+  const id = [...segs, idLeaf({ ga: gaStr, name }, idSchema)].filter(Boolean).join('.');
+
+  return {
+    id,
+    name,
+    description: data.description ? String(data.description) : undefined,
+    ga: gaStr,
+    dpt: data.dpt,
+    flags: data.flags
+  };
+}
+
+/**
+ * Make ids unique: name based ids of GAs with the same name (or several GAs in one function) get the
+ * address appended, e.g. `ga.light.Status` -> `ga.light.Status_1_2_3`. Also used for manual datapoints.
+ * @param {Array<{id:string, ga:string}>} entries
+ */
+function resolveIdCollisions(entries) {
+  const count = new Map();
+  for (const entry of entries) count.set(entry.id, (count.get(entry.id) || 0) + 1);
+
+  for (const entry of entries) {
+    if (count.get(entry.id) < 2) continue;
+    const leaf = gaIdSegment(entry.ga);
+    if (!entry.id.endsWith(`.${leaf}`)) entry.id = `${entry.id}_${leaf}`;
+  }
+}
+
+/**
+ * @typedef {{id:string, type:'folder'|'device'|'channel', common:{name:string, role?:string}}} LayoutContainer
+ */
+
+/**
+ * Move entries from the group range tree into a building/function or device tree.
+ *
+ * - `functions`: `ga.<building>.<floor>.<room>.<function>.<ga>`, building parts become folders,
+ *   functions channels with a type detector role (light, dimmer, blind, thermostat)
+ * - `devices`: `ga.devices.<individual address>.<ga>`, one device object per KNX device; a GA belongs to
+ *   the device sending on it (or the first device linked to it)
+ *
+ * GAs without function / device keep their group range id.
+ *
+ * @param {Array<{id:string, ga:string, name:string, dpt?:string, containers?:LayoutContainer[], roleHint?:string}>} entries
+ * @param {{functions: import('./ets-structure').EtsFunction[], devices: import('./ets-structure').EtsDevice[]}} structure
+ * @param {'functions'|'devices'} layout
+ * @param {'rangePath'|'name'} [idSchema] selects the last id segment
+ */
+function applyObjectLayout(entries, structure, layout, idSchema) {
+  /** @type {Map<number, Array<any>>} */
+  const entriesByAddress = new Map();
+  for (const entry of entries) {
+    const num = groupAddressStringToNumber(entry.ga);
+    if (num === undefined) continue;
+    if (!entriesByAddress.has(num)) entriesByAddress.set(num, []);
+    entriesByAddress.get(num).push(entry);
+  }
+
+  const assigned = new Set();
+  const usedPaths = new Set();
+
+  /**
+   * @param {number} address
+   * @param {LayoutContainer[]} containers
+   * @param {string} [roleHint]
+   */
+  const assign = (address, containers, roleHint) => {
+    if (assigned.has(address)) return;
+    assigned.add(address);
+    const parent = containers[containers.length - 1].id;
+    for (const entry of entriesByAddress.get(address) || []) {
+      entry.id = `${parent}.${idLeaf(entry, idSchema)}`;
+      entry.containers = containers;
+      if (roleHint) entry.roleHint = roleHint;
+    }
+  };
+
+  if (layout === 'functions') {
+    for (const fn of structure.functions) {
+      const containers = [];
+      let prefix = 'ga';
+      for (const part of fn.location) {
+        prefix = `${prefix}.${sanitizeIdSegment(part)}`;
+        containers.push({ id: prefix, type: 'folder', common: { name: part } });
+      }
+
+      // two functions with the same name in one room must not share a channel
+      const base = `${prefix}.${sanitizeIdSegment(fn.name || 'function')}`;
+      let fnId = base;
+      for (let i = 2; usedPaths.has(fnId); i++) fnId = `${base}_${i}`;
+      usedPaths.add(fnId);
+
+      const dpts = fn.addresses.flatMap((a) => (entriesByAddress.get(a) || []).map((e) => e.dpt));
+      const { role, hint } = classifyFunction(fn, dpts);
+      containers.push({ id: fnId, type: 'channel', common: { name: fn.name || fnId.split('.').pop(), role } });
+
+      for (const address of fn.addresses) assign(address, containers, hint);
+    }
+    return;
+  }
+
+  const root = { id: 'ga.devices', type: 'folder', common: { name: 'Devices' } };
+  const containersFor = (device) => [
+    root,
+    {
+      id: `${root.id}.${sanitizeIdSegment(device.address.replace(/\./g, '_'))}`,
+      type: 'device',
+      common: { name: device.name ? `${device.address} ${device.name}` : device.address }
+    }
+  ];
+
+  // sending devices first, so a GA ends up at its actuator / sensor and not at a listening device
+  for (const device of structure.devices) {
+    const containers = containersFor(device);
+    for (const address of device.sends) assign(address, containers);
+  }
+  for (const device of structure.devices) {
+    const containers = containersFor(device);
+    for (const address of device.addresses) assign(address, containers);
+  }
+}
+
+/**
+ * Import ETS .knxproj file (or a group address export as CSV/XML) from ioBroker file storage.
  *
  * @param {import('@iobroker/adapter-core').AdapterInstance} adapter
  * @param {string} etsFileName file name inside ioBroker Files -> nexowatt-knx.0 (files)
- * @param {{ gaStyleOverride?: 'auto'|'ThreeLevel'|'TwoLevel' }} [options]
- * @returns {Promise<{hash:string, style:'ThreeLevel'|'TwoLevel'|'Free', entries: Array<{id:string, name:string, ga:string, dpt?:string, flags:{readFlag:boolean, writeFlag:boolean, transmitFlag:boolean, updateFlag:boolean}, description?:string}>}>}
+ * If `options.skipIfHash` equals the hash of the file (and `options.settingsKey`), parsing is skipped and `unchanged: true` is returned.
+ *
+ * `options.layout` selects the object tree (`groupRanges` default, `functions`, `devices`), see `applyObjectLayout`,
+ * `options.idSchema` the ids, see `buildEntry`. The `address` schema is always flat and ignores the layout.
+ * GAs rejected by `options.filter` are skipped before any object is created (counted in `filtered`).
+ *
+ * @param {{ gaStyleOverride?: 'auto'|'ThreeLevel'|'TwoLevel', skipIfHash?: string, password?: string, linkStatusGas?: boolean, layout?: 'groupRanges'|'functions'|'devices', idSchema?: 'rangePath'|'address'|'name', filter?: ReturnType<typeof import('./import-filter').createImportFilter>, settingsKey?: string }} [options]
+ * @returns {Promise<{hash:string, unchanged?:boolean, style?:'ThreeLevel'|'TwoLevel'|'Free', filtered?:number, entries: Array<{id:string, name:string, ga:string, dpt?:string, flags:{readFlag:boolean, writeFlag:boolean, transmitFlag:boolean, updateFlag:boolean}, description?:string, statusGa?:string|null, containers?:LayoutContainer[], roleHint?:string}>}>}
  */
 async function importEtsProject(adapter, etsFileName, options = {}) {
-  if (!etsProjParser) {
-    throw new Error('Dependency "ets_proj_parser" not available');
-  }
-
   if (!etsFileName || typeof etsFileName !== 'string') {
     throw new Error('No ETS project file configured');
   }
@@ -147,7 +421,22 @@ async function importEtsProject(adapter, etsFileName, options = {}) {
     throw new Error(`Could not read ETS project from ioBroker Files: ${adapter.namespace}.files/${fileName}`);
   }
 
-  const hash = crypto.createHash('sha256').update(file).digest('hex');
+  // import settings are part of the hash: changing a filter or the layout must not be skipped as "unchanged"
+  const hasher = crypto.createHash('sha256').update(file);
+  if (options.settingsKey) hasher.update(options.settingsKey);
+  const hash = hasher.digest('hex');
+  if (options.skipIfHash && options.skipIfHash === hash) {
+    return { hash, unchanged: true, entries: [] };
+  }
+
+  const format = detectImportFormat(fileName);
+  if (format !== 'knxproj') {
+    return { hash, ...importGaExport(file, format, options) };
+  }
+
+  if (!etsProjParser) {
+    throw new Error('Dependency "ets_proj_parser" not available');
+  }
 
   // Persist to local FS (ets_proj_parser wants a path)
   const dataDir = adapter.getDataDir();
@@ -156,7 +445,8 @@ async function importEtsProject(adapter, etsFileName, options = {}) {
   const projectPath = path.join(dataDir, 'project.knxproj');
   const workDir = path.join(dataDir, 'ets_unpack');
 
-  await fs.writeFile(projectPath, file);
+  const project = unlockEtsProject(file, options.password);
+  await fs.writeFile(projectPath, project);
   await fs.rm(workDir, { recursive: true, force: true });
   await fs.mkdir(workDir, { recursive: true });
 
@@ -184,32 +474,248 @@ async function importEtsProject(adapter, etsFileName, options = {}) {
     walkGroupRanges(root?.groupRanges || [], [], collected);
   }
 
-  const entries = collected.map(({ groupRangePath, groupAddress }) => {
+  /** @type {Map<string, string>} GA_ID -> GA string */
+  const gaStrById = new Map();
+
+  const filter = options.filter;
+  let filtered = 0;
+
+  const entries = [];
+  for (const { groupRangePath, groupAddress } of collected) {
     const gaNum = groupAddress?.address;
     const gaStr = groupAddressNumberToString(gaNum, style);
     const dpt = etsDptToKnxDpt(groupAddress?.datapointType);
 
     const gaId = groupAddress?.ID;
     const flags = flagsByGaId.get(gaId) || { readFlag: false, writeFlag: false, transmitFlag: true, updateFlag: false };
+    // also for filtered GAs: they may still serve as status GA of an imported one
+    gaStrById.set(gaId, gaStr);
 
-    // Build an ioBroker id: ga.<sanitized path>.<ga>
-    const segs = ['ga', ...groupRangePath.map(sanitizeIdSegment)];
-    const gaSeg = sanitizeIdSegment(gaStr.replace(/\//g, '_'));
-    const id = [...segs, gaSeg].filter(Boolean).join('.');
+    if (filter && !filter.matches({ address: gaNum, style, rangePath: groupRangePath, dpt })) {
+      filtered++;
+      continue;
+    }
 
-    return {
-      id,
-      name: String(groupAddress?.name || gaStr),
-      description: groupAddress?.description ? String(groupAddress.description) : undefined,
-      ga: gaStr,
+    const entry = buildEntry(groupRangePath, gaStr, {
+      name: groupAddress?.name,
+      description: groupAddress?.description,
       dpt,
       flags
-    };
-  });
+    }, options.idSchema);
+    entry.gaId = gaId;
+    entries.push(entry);
+  }
+
+  const statusPairs = options.linkStatusGas ? buildStatusPairs(result) : new Map();
+  for (const entry of entries) {
+    const statusGa = gaStrById.get(statusPairs.get(entry.gaId));
+    if (statusGa) entry.statusGa = statusGa;
+    // no link (any more): clears a link set by an earlier import, not one entered by hand
+    else if (options.linkStatusGas) entry.statusGa = null;
+    delete entry.gaId;
+  }
+
+  if ((options.layout === 'functions' || options.layout === 'devices') && options.idSchema !== 'address') {
+    applyObjectLayout(entries, readEtsStructure(project), options.layout, options.idSchema);
+  }
+  resolveIdCollisions(entries);
+
+  return { hash, style, entries, filtered };
+}
+
+/**
+ * Build import entries from an ETS group address export (CSV/XML).
+ * @param {Buffer} file
+ * @param {'csv'|'xml'} format
+ * @param {{ gaStyleOverride?: 'auto'|'ThreeLevel'|'TwoLevel', idSchema?: 'rangePath'|'address'|'name', filter?: ReturnType<typeof import('./import-filter').createImportFilter> }} options
+ * @returns {{style:'ThreeLevel'|'TwoLevel'|'Free', filtered:number, entries: Array<{id:string, name:string, ga:string, dpt?:string, flags:{readFlag:boolean, writeFlag:boolean, transmitFlag:boolean, updateFlag:boolean}, description?:string}>}}
+ */
+function importGaExport(file, format, options) {
+  const parsed = parseGaExport(file, format);
+  const override = options.gaStyleOverride && options.gaStyleOverride !== 'auto' ? options.gaStyleOverride : undefined;
+  const style = override || parsed.style;
+
+  const entries = [];
+  let filtered = 0;
+  for (const g of parsed.groups) {
+    const num = groupAddressStringToNumber(g.address);
+    let gaStr = g.address;
+    if (override && override !== parsed.style) {
+      if (num === undefined) continue;
+      gaStr = groupAddressNumberToString(num, style);
+    }
+
+    const dpt = etsDptToKnxDpt(g.datapointType);
+    if (options.filter && (num === undefined || !options.filter.matches({ address: num, style, rangePath: g.groupRangePath, dpt }))) {
+      filtered++;
+      continue;
+    }
+
+    entries.push(buildEntry(g.groupRangePath, gaStr, {
+      name: g.name,
+      description: g.description,
+      dpt,
+      flags: { ...EXPORT_DEFAULT_FLAGS }
+    }, options.idSchema));
+  }
+  resolveIdCollisions(entries);
+
+  return { style, entries, filtered };
+}
+
+/**
+ * @param {any} flags
+ * @returns {{readFlag:boolean, writeFlag:boolean, transmitFlag:boolean, updateFlag:boolean}}
+ */
+function normalizeFlags(flags) {
+  return {
+    readFlag: Boolean(flags?.readFlag),
+    writeFlag: Boolean(flags?.writeFlag),
+    transmitFlag: flags?.transmitFlag === undefined ? true : Boolean(flags.transmitFlag),
+    updateFlag: Boolean(flags?.updateFlag)
+  };
+}
+
+/**
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+function sameFlags(a, b) {
+  const fa = normalizeFlags(a);
+  const fb = normalizeFlags(b);
+  return fa.readFlag === fb.readFlag &&
+    fa.writeFlag === fb.writeFlag &&
+    fa.transmitFlag === fb.transmitFlag &&
+    fa.updateFlag === fb.updateFlag;
+}
+
+/**
+ * Compare freshly imported entries with the existing ETS GA objects.
+ *
+ * Matching is done by group address, so a GA that moved to another group range
+ * is reported as `moved` instead of `removed` + `added`.
+ *
+ * @param {Array<{id:string, common?:any, native?:any}>} existing existing ETS objects (relative ids)
+ * @param {Array<{id:string, name:string, ga:string, dpt?:string, flags:any, description?:string, statusGa?:string|null}>} entries
+ * @returns {{
+ *   added: Array<{id:string, ga:string, name:string}>,
+ *   removed: Array<{id:string, ga:string, name:string}>,
+ *   renamed: Array<{id:string, ga:string, from:string, to:string}>,
+ *   moved: Array<{ga:string, from:string, to:string}>,
+ *   dptChanged: Array<{id:string, ga:string, from?:string, to?:string}>,
+ *   flagsChanged: Array<{id:string, ga:string, from:any, to:any}>,
+ *   statusLinked: Array<{id:string, ga:string, statusGa:string}>,
+ *   statusUnlinked: Array<{id:string, ga:string, statusGa:string}>,
+ *   unchanged: number,
+ *   changedIds: Set<string>
+ * }}
+ */
+function diffEtsEntries(existing, entries) {
+  /** @type {Map<string, {id:string, common?:any, native?:any}>} */
+  const byId = new Map(existing.map((o) => [o.id, o]));
+  /** @type {Map<string, {id:string, common?:any, native?:any}>} */
+  const byGa = new Map();
+  for (const obj of existing) {
+    const ga = obj?.native?.ga;
+    if (!ga) continue;
+    if (!byGa.has(String(ga))) byGa.set(String(ga), obj);
+  }
+
+  const report = {
+    added: [],
+    removed: [],
+    renamed: [],
+    moved: [],
+    dptChanged: [],
+    flagsChanged: [],
+    statusLinked: [],
+    statusUnlinked: [],
+    unchanged: 0,
+    changedIds: new Set()
+  };
+
+  const entryIds = new Set(entries.map((e) => e.id));
+  const seenGas = new Set();
+
+  for (const entry of entries) {
+    seenGas.add(entry.ga);
+
+    const sameId = byId.get(entry.id);
+    const old = (sameId && String(sameId.native?.ga) === entry.ga) ? sameId : byGa.get(entry.ga);
+    if (!old) {
+      report.added.push({ id: entry.id, ga: entry.ga, name: entry.name });
+      report.changedIds.add(entry.id);
+      continue;
+    }
+
+    let changed = false;
+    // compare with what the last import generated, user overrides are no ETS change
+    const imported = old.native?.imported && typeof old.native.imported === 'object' ? old.native.imported : undefined;
+
+    if (old.id !== entry.id) {
+      report.moved.push({ ga: entry.ga, from: old.id, to: entry.id });
+      changed = true;
+    }
+
+    const nameSource = imported ? imported.name : old.common?.name;
+    const oldName = typeof nameSource === 'object' ? (nameSource?.en || '') : String(nameSource ?? '');
+    if (oldName !== entry.name) {
+      report.renamed.push({ id: entry.id, ga: entry.ga, from: oldName, to: entry.name });
+      changed = true;
+    }
+
+    const dptSource = imported ? imported.dpt : old.native?.dpt;
+    const oldDpt = dptSource ? String(dptSource) : undefined;
+    if (oldDpt !== entry.dpt) {
+      report.dptChanged.push({ id: entry.id, ga: entry.ga, from: oldDpt, to: entry.dpt });
+      changed = true;
+    }
+
+    const oldFlags = imported ? imported.flags : old.native?.flags;
+    if (!sameFlags(oldFlags, entry.flags)) {
+      report.flagsChanged.push({ id: entry.id, ga: entry.ga, from: normalizeFlags(oldFlags), to: normalizeFlags(entry.flags) });
+      changed = true;
+    }
+
+    if ((old.native?.description || undefined) !== (entry.description || undefined)) {
+      changed = true;
+    }
+
+    // `null`: the source knows there is no link, `undefined`: it cannot tell. Compared with the last
+    // import like the DPT; a link entered by hand is an override and not changed by applying this
+    const importedStatusGa = (imported && imported.statusGa !== undefined ? imported.statusGa : old.native?.statusGa) || undefined;
+    if (entry.statusGa === null) {
+      if (imported?.statusGa) {
+        report.statusUnlinked.push({ id: entry.id, ga: entry.ga, statusGa: String(imported.statusGa) });
+        changed = true;
+      }
+    } else if (entry.statusGa !== undefined && importedStatusGa !== entry.statusGa) {
+      report.statusLinked.push({ id: entry.id, ga: entry.ga, statusGa: entry.statusGa });
+      changed = true;
+    }
+
+    if (changed) {
+      report.changedIds.add(entry.id);
+    } else {
+      report.unchanged++;
+    }
+  }
+
+  for (const obj of existing) {
+    const ga = obj?.native?.ga ? String(obj.native.ga) : '';
+    if (!ga || seenGas.has(ga) || entryIds.has(obj.id)) continue;
+    const name = typeof obj.common?.name === 'object' ? (obj.common.name.en || '') : String(obj.common?.name ?? '');
+    report.removed.push({ id: obj.id, ga, name });
+  }
 
-  return { hash, style, entries };
+  return report;
 }
 
 module.exports = {
-  importEtsProject
+  importEtsProject,
+  diffEtsEntries,
+  resolveIdCollisions,
+  unlockEtsProject,
+  ets6ZipPassword
 };
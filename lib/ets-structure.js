@@ -0,0 +1,198 @@
+'use strict';
+
+const { scanTags } = require('./xml-lite');
+const { readZip, extractEntry } = require('./zip-lite');
+
+/**
+ * Building structure, ETS 6 functions and device topology read directly from the project XML
+ * (`P-xxxx/0.xml`), independent of what ets_proj_parser exposes.
+ *
+ * Group addresses are referenced by their numeric address, so the result can be matched
+ * with the parsed group addresses in any GA style.
+ */
+
+/**
+ * @typedef {object} EtsFunction
+ * @property {string} name
+ * @property {string} type ETS function type (may be empty)
+ * @property {string[]} location building part names from the outside in (building, floor, room, ...)
+ * @property {number[]} addresses group address numbers in ETS order
+ */
+
+/**
+ * @typedef {object} EtsDevice
+ * @property {string} address individual address, e.g. `1.1.5`
+ * @property {string} name
+ * @property {string} [description]
+ * @property {number[]} sends group addresses a communication object sends on (first link)
+ * @property {number[]} addresses all linked group addresses
+ */
+
+const TAGS = new Set([
+  'GroupAddress',
+  'BuildingPart',
+  'Space',
+  'Function',
+  'GroupAddressRef',
+  'Area',
+  'Line',
+  'DeviceInstance',
+  'ComObjectInstanceRef',
+  'Send',
+  'Receive'
+]);
+
+/**
+ * ETS ids are project-prefixed (`P-0123-0_GA-4`); links may use the short form (`GA-4`).
+ * @param {string} id
+ * @returns {string}
+ */
+function shortId(id) {
+  const s = String(id || '');
+  const i = s.lastIndexOf('_');
+  return i >= 0 ? s.slice(i + 1) : s;
+}
+
+/**
+ * @param {Buffer} knxproj unprotected .knxproj
+ * @returns {string|undefined}
+ */
+function readProjectXml(knxproj) {
+  const entry = readZip(knxproj).find((e) => /^P-[0-9A-F]+(?:-\d+)?\/0\.xml$/i.test(e.name));
+  if (!entry) return undefined;
+  return extractEntry(entry).toString('utf8').replace(/^\uFEFF/, '');
+}
+
+/**
+ * Read functions (ETS 6) and devices from an ETS project.
+ * @param {Buffer} knxproj unprotected .knxproj
+ * @returns {{functions: EtsFunction[], devices: EtsDevice[]}}
+ */
+function readEtsStructure(knxproj) {
+  const xml = readProjectXml(knxproj);
+  if (!xml) return { functions: [], devices: [] };
+
+  /** @type {Map<string, number>} short GA id -> address */
+  const addressById = new Map();
+
+  // collected with ids first, resolved to addresses once all group addresses are known
+  const functions = [];
+  const devices = [];
+
+  const location = [];
+  let fn = null;
+  let area = '';
+  let line = '';
+  let device = null;
+  let coLinks = null;
+
+  for (const t of scanTags(xml, TAGS)) {
+    switch (t.tag) {
+      case 'GroupAddress':
+        if (!t.close && t.attrs.Id && t.attrs.Address !== undefined) {
+          addressById.set(shortId(t.attrs.Id), Number(t.attrs.Address));
+        }
+        break;
+
+      case 'BuildingPart':
+      case 'Space':
+        if (t.close) location.pop();
+        else if (!t.selfClosing) location.push(t.attrs.Name || t.attrs.Type || '');
+        break;
+
+      case 'Function':
+        if (t.close) {
+          fn = null;
+        } else {
+          fn = { name: t.attrs.Name || '', type: t.attrs.Type || '', location: location.filter(Boolean), refs: [] };
+          functions.push(fn);
+          if (t.selfClosing) fn = null;
+        }
+        break;
+
+      case 'GroupAddressRef':
+        if (fn && !t.close && t.attrs.RefId) fn.refs.push(shortId(t.attrs.RefId));
+        break;
+
+      case 'Area':
+        if (!t.close) area = t.attrs.Address || '';
+        break;
+
+      case 'Line':
+        if (!t.close) line = t.attrs.Address || '';
+        break;
+
+      case 'DeviceInstance':
+        if (t.close) {
+          device = null;
+        } else if (t.attrs.Address !== undefined) {
+          const address = `${area}.${line}.${t.attrs.Address}`;
+          device = { address, name: t.attrs.Name || '', description: t.attrs.Description || undefined, sends: [], links: [] };
+          devices.push(device);
+          if (t.selfClosing) device = null;
+        }
+        break;
+
+      case 'ComObjectInstanceRef':
+        if (t.close) {
+          coLinks = null;
+        } else if (device) {
+          // ETS 5.7+: Links="GA-1 GA-2" (first = sending GA), older: <Connectors><Send/><Receive/>
+          coLinks = String(t.attrs.Links || '').split(/\s+/).filter(Boolean).map(shortId);
+          if (coLinks.length) device.sends.push(coLinks[0]);
+          device.links.push(...coLinks);
+          if (t.selfClosing) coLinks = null;
+        }
+        break;
+
+      case 'Send':
+      case 'Receive':
+        if (device && coLinks && !t.close && t.attrs.GroupAddressRefId) {
+          const ref = shortId(t.attrs.GroupAddressRefId);
+          if (t.tag === 'Send') device.sends.push(ref);
+          device.links.push(ref);
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  const resolve = (ids) => [...new Set(ids.map((id) => addressById.get(id)).filter((a) => a !== undefined))];
+
+  return {
+    functions: functions
+      .map((f) => ({ name: f.name, type: f.type, location: f.location, addresses: resolve(f.refs) }))
+      .filter((f) => f.addresses.length),
+    devices: devices
+      .map((d) => ({ address: d.address, name: d.name, description: d.description, sends: resolve(d.sends), addresses: resolve(d.links) }))
+      .filter((d) => d.addresses.length)
+  };
+}
+
+const BLIND_RE = /(blind|shutter|jalousie|rollo|rolllade|raff|behang|lamell|slat|sunblind|markise|awning)/;
+const LIGHT_RE = /(light|licht|lamp|leuchte|dimm)/;
+const HEATING_RE = /(heat|heiz|thermostat|temperatur|klima|hvac|radiator|floor)/;
+
+/**
+ * Guess the channel role of a function for the type detector from its name, type and DPTs.
+ * @param {{name:string, type?:string}} fn
+ * @param {Array<string|undefined>} dpts
+ * @returns {{role:string, hint?:string}} `hint` is passed on to the state role detection
+ */
+function classifyFunction(fn, dpts) {
+  const text = `${fn.type || ''} ${fn.name || ''}`.toLowerCase();
+  const has = (re) => dpts.some((d) => d && re.test(d));
+
+  if (BLIND_RE.test(text) || (has(/^1\.00[78]$/) && has(/^5\.001$/))) return { role: 'blind', hint: 'blind' };
+  if (has(/^3\.007$/) || (LIGHT_RE.test(text) && has(/^5\.001$/))) return { role: 'light.dimmer', hint: 'light' };
+  if (HEATING_RE.test(text) || has(/^9\.001$/)) return { role: 'thermostat' };
+  if (LIGHT_RE.test(text)) return { role: 'light.switch', hint: 'light' };
+  return { role: 'channel' };
+}
+
+module.exports = {
+  readEtsStructure,
+  classifyFunction
+};
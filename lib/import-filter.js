@@ -0,0 +1,167 @@
+'use strict';
+
+const { dptMajor } = require('./knx-utils');
+
+/**
+ * Include / exclude filters for the ETS import.
+ *
+ * Address patterns (comma separated):
+ * - `3` main group, `3/1` middle group (three-level style), `1/2/3` single address
+ * - ranges `3/0/0-3/7/255`, `3-4`; both ends may be groups
+ *
+ * DPT patterns: `9` (all 9.xxx) or `9.001`. Range regexes are matched against the group range path (`Main/Middle`).
+ *
+ * @typedef {{parts:number[]}} GaPattern
+ * @typedef {{from:GaPattern, to:GaPattern}} GaRange
+ */
+
+/**
+ * @param {string} text
+ * @returns {GaPattern}
+ */
+function parseGaPattern(text) {
+  const parts = text.split('/').map((p) => p.trim());
+  if (!parts.length || parts.length > 3 || parts.some((p) => !/^\d+$/.test(p))) {
+    throw new Error(`Invalid group address filter: ${text}`);
+  }
+  return { parts: parts.map(Number) };
+}
+
+/**
+ * @param {any} value
+ * @returns {GaRange[]}
+ */
+function parseGaList(value) {
+  return String(value || '')
+    .split(/[,;\s]+/)
+    .filter(Boolean)
+    .map((item) => {
+      const [from, to, extra] = item.split('-');
+      if (extra !== undefined) throw new Error(`Invalid group address filter: ${item}`);
+      return { from: parseGaPattern(from), to: parseGaPattern(to === undefined ? from : to) };
+    });
+}
+
+/**
+ * @param {any} value
+ * @returns {string[]}
+ */
+function parseDptList(value) {
+  return String(value || '')
+    .split(/[,;\s]+/)
+    .map((d) => d.trim().replace(/^DPT-?/i, ''))
+    .filter(Boolean)
+    .map((d) => {
+      if (!/^\d+(?:\.\d+)?$/.test(d)) throw new Error(`Invalid DPT filter: ${d}`);
+      const [major, minor] = d.split('.');
+      return minor === undefined ? String(Number(major)) : `${Number(major)}.${minor.padStart(3, '0')}`;
+    });
+}
+
+/**
+ * @param {any} value
+ * @param {string} what
+ * @returns {RegExp|undefined}
+ */
+function parseRegex(value, what) {
+  const src = String(value || '').trim();
+  if (!src) return undefined;
+  try {
+    return new RegExp(src, 'i');
+  } catch (e) {
+    throw new Error(`Invalid ${what} regex "${src}": ${e.message}`);
+  }
+}
+
+/**
+ * Lowest / highest address covered by a pattern in a GA style.
+ * @param {GaPattern} pattern
+ * @param {'ThreeLevel'|'TwoLevel'|'Free'} style
+ * @returns {[number, number]}
+ */
+function patternBounds(pattern, style) {
+  const p = pattern.parts;
+  if (style === 'Free' && p.length === 1) return [p[0] & 0xffff, p[0] & 0xffff];
+
+  if (p.length === 3) {
+    const a = ((p[0] & 0x1f) << 11) | ((p[1] & 0x07) << 8) | (p[2] & 0xff);
+    return [a, a];
+  }
+  if (p.length === 2) {
+    if (style === 'TwoLevel') {
+      const a = ((p[0] & 0x1f) << 11) | (p[1] & 0x7ff);
+      return [a, a];
+    }
+    const base = ((p[0] & 0x1f) << 11) | ((p[1] & 0x07) << 8);
+    return [base, base | 0xff];
+  }
+  const base = (p[0] & 0x1f) << 11;
+  return [base, base | 0x7ff];
+}
+
+/**
+ * @param {GaRange[]} list
+ * @param {number} address
+ * @param {'ThreeLevel'|'TwoLevel'|'Free'} style
+ * @returns {boolean}
+ */
+function inGaList(list, address, style) {
+  return list.some((r) => address >= patternBounds(r.from, style)[0] && address <= patternBounds(r.to, style)[1]);
+}
+
+/**
+ * @param {string[]} list
+ * @param {string|undefined} dpt
+ * @returns {boolean}
+ */
+function inDptList(list, dpt) {
+  if (!dpt) return false;
+  const major = dptMajor(dpt);
+  return list.some((d) => (d.includes('.') ? d === dpt : Number(d) === major));
+}
+
+/**
+ * Build the import filter from the adapter config.
+ * Throws on invalid patterns, so a typo does not silently import (or drop) everything.
+ *
+ * @param {Record<string, any>} config
+ * @returns {{active:boolean, matches:(ga:{address:number, style:'ThreeLevel'|'TwoLevel'|'Free', rangePath:string[], dpt?:string}) => boolean}}
+ */
+function createImportFilter(config) {
+  const include = {
+    gas: parseGaList(config.importIncludeGas),
+    ranges: parseRegex(config.importIncludeRanges, 'include range'),
+    dpts: parseDptList(config.importIncludeDpts)
+  };
+  const exclude = {
+    gas: parseGaList(config.importExcludeGas),
+    ranges: parseRegex(config.importExcludeRanges, 'exclude range'),
+    dpts: parseDptList(config.importExcludeDpts)
+  };
+
+  const active = Boolean(
+    include.gas.length || include.ranges || include.dpts.length ||
+    exclude.gas.length || exclude.ranges || exclude.dpts.length
+  );
+
+  return {
+    active,
+    matches({ address, style, rangePath, dpt }) {
+      if (!active) return true;
+      const path = rangePath.join('/');
+
+      if (include.gas.length && !inGaList(include.gas, address, style)) return false;
+      if (include.ranges && !include.ranges.test(path)) return false;
+      if (include.dpts.length && !inDptList(include.dpts, dpt)) return false;
+
+      if (exclude.gas.length && inGaList(exclude.gas, address, style)) return false;
+      if (exclude.ranges && exclude.ranges.test(path)) return false;
+      if (exclude.dpts.length && inDptList(exclude.dpts, dpt)) return false;
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  createImportFilter
+};
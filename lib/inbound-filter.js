@@ -0,0 +1,68 @@
+'use strict';
+
+/**
+ * Inbound filters for fast sending sensors: "only on change", deadband and minimum interval.
+ *
+ * @typedef {object} InboundFilter
+ * @property {number} minIntervalMs
+ * @property {number} deadband
+ * @property {boolean} deadbandPercent deadband relative to the last stored value
+ * @property {boolean} onlyOnChange
+ */
+
+/**
+ * Inbound filter of a datapoint from `native.inbound` ({minInterval, deadband, deadbandPercent, onlyOnChange})
+ * and the instance's `custom` settings (`inMinInterval`, ...), the latter taking precedence.
+ * @param {any} native
+ * @param {any} custom
+ * @returns {InboundFilter|undefined}
+ */
+function parseInboundFilter(native, custom) {
+  const cfg = { ...(native && typeof native === 'object' ? native : {}) };
+  if (custom?.enabled) {
+    for (const key of ['minInterval', 'deadband', 'deadbandPercent', 'onlyOnChange']) {
+      const customKey = `in${key[0].toUpperCase()}${key.slice(1)}`;
+      if (custom[customKey] !== undefined && custom[customKey] !== '') cfg[key] = custom[customKey];
+    }
+  }
+
+  const filter = {
+    minIntervalMs: Math.max(0, Number(cfg.minInterval) || 0) * 1000,
+    deadband: Math.max(0, Number(cfg.deadband) || 0),
+    deadbandPercent: Boolean(cfg.deadbandPercent),
+    onlyOnChange: Boolean(cfg.onlyOnChange)
+  };
+  return filter.minIntervalMs || filter.deadband || filter.onlyOnChange ? filter : undefined;
+}
+
+/**
+ * Decide what happens to a received value.
+ *
+ * - `store`: store it now
+ * - `drop`: too close to the last stored value; a value held back before is outdated by it and dropped as well
+ * - `delay`: store it after `wait` ms, replacing a value held back before (minimum interval)
+ *
+ * @param {InboundFilter} filter
+ * @param {{val:any, ts:number}|undefined} last last stored value
+ * @param {any} val
+ * @param {number} now
+ * @returns {{action:'store'}|{action:'drop'}|{action:'delay', wait:number}}
+ */
+function evaluateInboundFilter(filter, last, val, now) {
+  if (!last) return { action: 'store' };
+
+  if (filter.onlyOnChange && val === last.val) return { action: 'drop' };
+
+  if (filter.deadband > 0 && typeof val === 'number' && typeof last.val === 'number') {
+    const band = filter.deadbandPercent ? (Math.abs(last.val) * filter.deadband) / 100 : filter.deadband;
+    if (Math.abs(val - last.val) < band) return { action: 'drop' };
+  }
+
+  const wait = filter.minIntervalMs - (now - last.ts);
+  return wait > 0 ? { action: 'delay', wait } : { action: 'store' };
+}
+
+module.exports = {
+  parseInboundFilter,
+  evaluateInboundFilter
+};
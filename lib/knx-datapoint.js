@@ -0,0 +1,123 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+
+/**
+ * Encode an ioBroker value with a codec into payload + bit length (throws on invalid values).
+ * @param {import('./dpt-codecs').DptCodec} codec
+ * @param {any} value
+ * @returns {{buffer: Buffer, bitlength: number}}
+ */
+function encodeFrame(codec, value) {
+  const buffer = Buffer.isBuffer(value) ? value : codec.encode(value);
+  const bitlength = typeof codec.bitlength === 'function' ? codec.bitlength(buffer, value) : codec.bitlength;
+  return { buffer, bitlength };
+}
+
+/**
+ * Minimal replacement for `knx.Datapoint` for DPTs handled by our own codecs.
+ *
+ * It listens to the raw group telegrams of its GA and uses the codec for both directions,
+ * so DPTs unknown to knx.js (e.g. 242, 251, 235) can be bound as well.
+ * Emits `change(oldVal, newVal)` like `knx.Datapoint` and `decodeError(err, buf)` for malformed payloads.
+ */
+class CodecDatapoint extends EventEmitter {
+  /**
+   * @param {{ga:string, codec: import('./dpt-codecs').DptCodec}} options
+   * @param {any} conn knx.Connection
+   */
+  constructor(options, conn) {
+    super();
+    this.options = options;
+    this.codec = options.codec;
+    this.conn = conn;
+    this.current_value = null;
+
+    this.eventName = `event_${options.ga}`;
+    this.onBusEvent = (evt, src, buf) => {
+      if (evt !== 'GroupValue_Write' && evt !== 'GroupValue_Response') return;
+      if (!Buffer.isBuffer(buf)) return;
+
+      let value;
+      try {
+        value = this.codec.decode(buf);
+      } catch (e) {
+        // not 'error': an unhandled 'error' event would throw
+        this.emit('decodeError', e, buf);
+        return;
+      }
+      this.update(value);
+    };
+    conn.on(this.eventName, this.onBusEvent);
+  }
+
+  /**
+   * @param {any} value decoded value
+   */
+  update(value) {
+    const old = this.current_value;
+    if (old === value) return;
+    this.current_value = value;
+    this.emit('change', old, value, this.options.ga);
+  }
+
+  /**
+   * Encode an ioBroker value into payload + bit length (throws on invalid values).
+   * @param {any} value
+   * @returns {{buffer: Buffer, bitlength: number}}
+   */
+  prepare(value) {
+    return encodeFrame(this.codec, value);
+  }
+
+  /**
+   * Send a GroupValue_Write with an ioBroker value or a result of `prepare()`.
+   * @param {any} value
+   */
+  write(value) {
+    const frame = value && Buffer.isBuffer(value.buffer) ? value : this.prepare(value);
+    this.conn.writeRaw(this.options.ga, frame.buffer, frame.bitlength);
+  }
+
+  read() {
+    this.conn.read(this.options.ga);
+  }
+
+  /**
+   * Answer a GroupValue_Read with a GroupValue_Response (knx.js has no raw variant of `respond`).
+   * @param {any} value ioBroker value or a result of `prepare()`
+   */
+  respond(value) {
+    const frame = value && Buffer.isBuffer(value.buffer) ? value : this.prepare(value);
+    // TUNNELING_REQUEST / ROUTING_INDICATION
+    const serviceType = this.conn.useTunneling ? 0x0420 : 0x0530;
+    this.conn.Request(serviceType, (datagram) => {
+      datagram.cemi.apdu.data = frame.buffer;
+      datagram.cemi.apdu.bitlength = frame.bitlength;
+      datagram.cemi.apdu.apci = 'GroupValue_Response';
+      datagram.cemi.dest_addr = this.options.ga;
+      return datagram;
+    });
+  }
+
+  /**
+   * Also detaches from the connection, unlike `knx.Datapoint`.
+   * @param {string|symbol} [event]
+   * @returns {this}
+   */
+  removeAllListeners(event) {
+    if (event === undefined) {
+      try {
+        this.conn.off(this.eventName, this.onBusEvent);
+      } catch {
+        // ignore
+      }
+    }
+    return super.removeAllListeners(event);
+  }
+}
+
+module.exports = {
+  CodecDatapoint,
+  encodeFrame
+};
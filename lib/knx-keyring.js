@@ -0,0 +1,174 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const { groupAddressNumberToString } = require('./knx-utils');
+const { scanTags } = require('./xml-lite');
+
+/**
+ * Derive the keyring key from the keyring password (ETS: PBKDF2-HMAC-SHA256, 65536 rounds).
+ * @param {string} password
+ * @returns {Buffer}
+ */
+function hashKeyringPassword(password) {
+  return crypto.pbkdf2Sync(Buffer.from(String(password), 'utf8'), '1.keyring.ets.knx.org', 65536, 16, 'sha256');
+}
+
+/**
+ * @param {Buffer} data
+ * @param {Buffer} key
+ * @param {Buffer} iv
+ * @returns {Buffer}
+ */
+function decryptAes128Cbc(data, key, iv) {
+  const decipher = crypto.createDecipheriv('aes-128-cbc', key, iv);
+  decipher.setAutoPadding(false);
+  return Buffer.concat([decipher.update(data), decipher.final()]);
+}
+
+/**
+ * Decode an encrypted keyring password attribute (8 random bytes prefix + PKCS#7-like padding).
+ * @param {Buffer} data
+ * @returns {string}
+ */
+function extractPassword(data) {
+  if (!data.length) return '';
+  const pad = data[data.length - 1];
+  const text = pad >= 1 && pad <= 16 && data.length - pad >= 8 ? data.subarray(8, data.length - pad) : undefined;
+  // the key is not authenticated: garbage from a wrong password shows in the padding or the text
+  const valid = text &&
+    data.subarray(data.length - pad).every((b) => b === pad) &&
+    Buffer.from(text.toString('utf8'), 'utf8').equals(text) &&
+    !/[\u0000-\u001f]/.test(text.toString('utf8'));
+  if (!valid) {
+    throw new Error('Keyring password is wrong or the keyring is damaged');
+  }
+  return text.toString('utf8');
+}
+
+/**
+ * Normalize a keyring group address attribute (raw number or "x/y/z") to ThreeLevel notation.
+ * @param {string|undefined} addr
+ * @returns {string|undefined}
+ */
+function normalizeGroupAddress(addr) {
+  if (!addr) return undefined;
+  const s = String(addr).trim();
+  if (/^\d+$/.test(s)) return groupAddressNumberToString(parseInt(s, 10), 'ThreeLevel');
+  return s;
+}
+
+/**
+ * Parse and decrypt an ETS `.knxkeys` keyring.
+ *
+ * Keys are returned as Buffers and must only be kept in memory. They are never written to objects.
+ *
+ * @param {Buffer|string} file keyring file content
+ * @param {string} password keyring password (as entered when exporting from ETS)
+ * @returns {{
+ *   project?: string,
+ *   created?: string,
+ *   backbone?: {multicastAddress?:string, key?:Buffer, latency?:number},
+ *   interfaces: Array<{type?:string, host?:string, individualAddress?:string, userId?:number, password?:string, authentication?:string, groups:string[]}>,
+ *   groupKeys: Map<string, Buffer>,
+ *   devices: Map<string, {toolKey?:Buffer, sequenceNumber?:number}>
+ * }}
+ */
+function parseKeyring(file, password) {
+  const xml = Buffer.isBuffer(file) ? file.toString('utf8') : String(file || '');
+  if (!/<Keyring\b/.test(xml)) {
+    throw new Error('File is not an ETS keyring (.knxkeys)');
+  }
+  if (!password) {
+    throw new Error('No keyring password configured');
+  }
+
+  const tags = scanTags(xml);
+  const root = tags.find((t) => t.tag === 'Keyring' && !t.close);
+  const created = root?.attrs?.Created;
+  if (!created) throw new Error('Keyring has no "Created" attribute');
+
+  const key = hashKeyringPassword(password);
+  const iv = crypto.createHash('sha256').update(created, 'utf8').digest().subarray(0, 16);
+
+  const decryptKey = (b64) => (b64 ? decryptAes128Cbc(Buffer.from(b64, 'base64'), key, iv) : undefined);
+  const decryptPassword = (b64) => (b64 ? extractPassword(decryptKey(b64)) : undefined);
+
+  const result = {
+    project: root.attrs.Project,
+    created,
+    backbone: undefined,
+    interfaces: [],
+    groupKeys: new Map(),
+    devices: new Map()
+  };
+
+  let currentInterface = null;
+  let inGroupAddresses = false;
+
+  for (const t of tags) {
+    if (t.close) {
+      if (t.tag === 'Interface') currentInterface = null;
+      if (t.tag === 'GroupAddresses') inGroupAddresses = false;
+      continue;
+    }
+
+    switch (t.tag) {
+      case 'Backbone':
+        result.backbone = {
+          multicastAddress: t.attrs.MulticastAddress,
+          key: decryptKey(t.attrs.Key),
+          latency: t.attrs.Latency ? Number(t.attrs.Latency) : undefined
+        };
+        break;
+
+      case 'Interface': {
+        const itf = {
+          type: t.attrs.Type,
+          host: t.attrs.Host,
+          individualAddress: t.attrs.IndividualAddress,
+          userId: t.attrs.UserID ? Number(t.attrs.UserID) : undefined,
+          password: decryptPassword(t.attrs.Password),
+          authentication: decryptPassword(t.attrs.Authentication),
+          groups: []
+        };
+        result.interfaces.push(itf);
+        currentInterface = t.selfClosing ? null : itf;
+        break;
+      }
+
+      case 'GroupAddresses':
+        inGroupAddresses = !t.selfClosing;
+        break;
+
+      case 'Group': {
+        const ga = normalizeGroupAddress(t.attrs.Address);
+        if (!ga) break;
+        if (inGroupAddresses && t.attrs.Key) {
+          result.groupKeys.set(ga, decryptKey(t.attrs.Key));
+        } else if (currentInterface) {
+          currentInterface.groups.push(ga);
+        }
+        break;
+      }
+
+      case 'Device':
+        if (t.attrs.IndividualAddress) {
+          result.devices.set(t.attrs.IndividualAddress, {
+            toolKey: decryptKey(t.attrs.ToolKey),
+            sequenceNumber: t.attrs.SequenceNumber ? Number(t.attrs.SequenceNumber) : undefined
+          });
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  parseKeyring
+};
@@ -1,5 +1,7 @@
 'use strict';
 
+const { BUILTIN_CODECS, RAW_CODEC, KNXJS_DPT_MAJORS } = require('./dpt-codecs');
+
 /**
  * Convert a KNX group address number (0..65535) into string format.
  * @param {number} addr
@@ -24,6 +26,21 @@ function groupAddressNumberToString(addr, style) {
   return `${main}/${middle}/${sub}`;
 }
 
+/**
+ * Convert a KNX group address string (`x/y/z`, `x/y` or free number) into its number (0..65535).
+ * @param {string} ga
+ * @returns {number|undefined}
+ */
+function groupAddressStringToNumber(ga) {
+  const parts = String(ga || '').trim().split('/').map((p) => parseInt(p, 10));
+  if (!parts.length || parts.some((p) => !Number.isFinite(p) || p < 0)) return undefined;
+
+  if (parts.length === 3) return ((parts[0] & 0x1f) << 11) | ((parts[1] & 0x07) << 8) | (parts[2] & 0xff);
+  if (parts.length === 2) return ((parts[0] & 0x1f) << 11) | (parts[1] & 0x7ff);
+  if (parts.length === 1) return parts[0] & 0xffff;
+  return undefined;
+}
+
 /**
  * Normalize ETS datapoint IDs to knx.js DPT format.
  * ETS examples: "DPT-1", "DPST-1-1".
@@ -71,24 +88,298 @@ function dptMajor(dpt) {
 }
 
 /**
- * Basic ioBroker common type/role inference.
- * Not exhaustive, but sufficient for a practical baseline.
+ * Extract the DPT sub number ("9.001" -> 1).
+ * @param {string|undefined|null} dpt
+ * @returns {number|undefined}
+ */
+function dptMinor(dpt) {
+  if (!dpt || typeof dpt !== 'string') return undefined;
+  const m = /^(\d+)\.(\d+)$/.exec(dpt.trim());
+  if (!m) return undefined;
+  return parseInt(m[2], 10);
+}
+
+/**
+ * Registered DPT codecs: `major` or `major.minor` (minor zero-padded) -> codec.
+ * Seeded with the built-in compound codecs.
+ * @type {Map<string, import('./dpt-codecs').DptCodec>}
+ */
+const dptCodecs = new Map(Object.entries(BUILTIN_CODECS));
+
+/**
+ * Normalize a DPT to a registry key ("9" / "9.001"). Accepts knx.js and ETS notation.
+ * @param {string|number} dpt
+ * @returns {string|undefined}
+ */
+function dptKey(dpt) {
+  const s = etsDptToKnxDpt(String(dpt).trim().replace(/^DPT(?=\d)/i, ''));
+  const major = dptMajor(s);
+  if (major === undefined) return undefined;
+  const minor = dptMinor(s);
+  return minor === undefined ? String(major) : `${major}.${String(minor).padStart(3, '0')}`;
+}
+
+/**
+ * Register an additional DPT codec (e.g. manufacturer specific DPTs).
+ * A codec for a main type (`"250"`) applies to all sub-types without an own codec.
+ * Registering an existing DPT replaces the previous codec, including knx.js' own handling.
+ *
+ * @param {string|number} dpt e.g. `"250.600"`, `"DPST-250-600"` or `250`
+ * @param {import('./dpt-codecs').DptCodec} codec
+ */
+function registerDptCodec(dpt, codec) {
+  const key = dptKey(dpt);
+  if (!key) throw new Error(`Invalid DPT: ${dpt}`);
+  if (!codec || typeof codec.encode !== 'function' || typeof codec.decode !== 'function') {
+    throw new Error(`Codec for DPT ${key} must implement encode() and decode()`);
+  }
+  if (typeof codec.bitlength !== 'number' && typeof codec.bitlength !== 'function') {
+    throw new Error(`Codec for DPT ${key} must define bitlength`);
+  }
+  if (!codec.common || !codec.common.type) {
+    throw new Error(`Codec for DPT ${key} must define common.type`);
+  }
+  dptCodecs.set(key, codec);
+}
+
+/**
+ * Remove a registered codec.
+ * @param {string|number} dpt
+ * @returns {boolean}
+ */
+function unregisterDptCodec(dpt) {
+  const key = dptKey(dpt);
+  return key ? dptCodecs.delete(key) : false;
+}
+
+/**
+ * Find the codec for a DPT: registered sub-type first, then main type.
+ * GAs without DPT or with a DPT knx.js does not support fall back to the raw (hex) codec.
+ * Returns `undefined` if knx.js handles the DPT itself.
+ * @param {string|undefined|null} dpt
+ * @returns {import('./dpt-codecs').DptCodec|undefined}
+ */
+function getDptCodec(dpt) {
+  const major = dptMajor(dpt);
+  if (major === undefined) return RAW_CODEC;
+
+  const minor = dptMinor(dpt);
+  if (minor !== undefined) {
+    const exact = dptCodecs.get(`${major}.${String(minor).padStart(3, '0')}`);
+    if (exact) return exact;
+  }
+
+  const main = dptCodecs.get(String(major));
+  if (main) return main;
+
+  return KNXJS_DPT_MAJORS.has(major) ? undefined : RAW_CODEC;
+}
+
+/**
+ * @param {import('./dpt-codecs').DptCodec|undefined} codec
+ * @returns {boolean} true for the raw (hex) fallback codec
+ */
+function isRawCodec(codec) {
+  return codec === RAW_CODEC;
+}
+
+/**
+ * Labels for the two values of DPT 1.x sub-types.
+ * @type {Record<number, [string, string]>}
+ */
+const DPT1_LABELS = {
+  1: ['Off', 'On'],
+  2: ['False', 'True'],
+  3: ['Disable', 'Enable'],
+  4: ['No ramp', 'Ramp'],
+  5: ['No alarm', 'Alarm'],
+  6: ['Low', 'High'],
+  7: ['Decrease', 'Increase'],
+  8: ['Up', 'Down'],
+  9: ['Open', 'Close'],
+  10: ['Stop', 'Start'],
+  11: ['Inactive', 'Active'],
+  12: ['Not inverted', 'Inverted'],
+  13: ['Start/stop', 'Cyclically'],
+  14: ['Fixed', 'Calculated'],
+  15: ['No action', 'Reset'],
+  16: ['No action', 'Acknowledge'],
+  17: ['Trigger', 'Trigger'],
+  18: ['Not occupied', 'Occupied'],
+  19: ['Closed', 'Open'],
+  21: ['OR', 'AND'],
+  22: ['Scene A', 'Scene B'],
+  23: ['Up/Down', 'Up/Down + step-stop'],
+  24: ['Day', 'Night']
+};
+
+/**
+ * `common.states` maps for enumerated DPT 20.x sub-types.
+ * @type {Record<number, Record<number, string>>}
+ */
+const DPT20_STATES = {
+  1: { 0: 'Autonomous', 1: 'Slave', 2: 'Master' },
+  2: { 0: 'Building in use', 1: 'Building not used', 2: 'Building protection' },
+  3: { 0: 'Occupied', 1: 'Standby', 2: 'Not occupied' },
+  102: { 0: 'Auto', 1: 'Comfort', 2: 'Standby', 3: 'Economy', 4: 'Building protection' },
+  105: {
+    0: 'Auto',
+    1: 'Heat',
+    2: 'Morning warmup',
+    3: 'Cool',
+    4: 'Night purge',
+    5: 'Precool',
+    6: 'Off',
+    7: 'Test',
+    8: 'Emergency heat',
+    9: 'Fan only',
+    10: 'Free cool',
+    11: 'Ice',
+    20: 'No demand'
+  }
+};
+
+/**
+ * Units/roles of numeric DPT sub-types: `[unit, sensorRole, writableRole]`.
+ * @type {Record<string, [string|undefined, string, string]>}
+ */
+const NUMERIC_SUBTYPES = {
+  '5.001': ['%', 'value', 'level.dimmer'],
+  '5.003': ['°', 'value', 'level'],
+  '5.004': ['%', 'value', 'level'],
+  '5.010': [undefined, 'value', 'level'],
+  '6.001': ['%', 'value', 'level'],
+  '7.001': [undefined, 'value', 'level'],
+  '7.002': ['ms', 'value.interval', 'level'],
+  '7.005': ['s', 'value.interval', 'level'],
+  '7.006': ['min', 'value.interval', 'level'],
+  '7.007': ['h', 'value.interval', 'level'],
+  '7.012': ['mA', 'value.current', 'level'],
+  '7.013': ['lux', 'value.brightness', 'level'],
+  '7.600': ['K', 'value', 'level.color.temperature'],
+  '8.010': ['%', 'value', 'level'],
+  '9.001': ['°C', 'value.temperature', 'level.temperature'],
+  '9.002': ['K', 'value', 'level'],
+  '9.004': ['lux', 'value.brightness', 'level'],
+  '9.005': ['m/s', 'value.speed.wind', 'level'],
+  '9.006': ['Pa', 'value.pressure', 'level'],
+  '9.007': ['%', 'value.humidity', 'level.humidity'],
+  '9.008': ['ppm', 'value.co2', 'level'],
+  '9.020': ['mV', 'value.voltage', 'level'],
+  '9.021': ['mA', 'value.current', 'level'],
+  '9.024': ['kW', 'value.power', 'level'],
+  '9.025': ['l/h', 'value.flow', 'level'],
+  '9.027': ['°F', 'value.temperature', 'level.temperature'],
+  '9.028': ['km/h', 'value.speed.wind', 'level'],
+  '12.001': [undefined, 'value', 'level'],
+  '13.001': [undefined, 'value', 'level'],
+  '13.002': ['m³/h', 'value.flow', 'level'],
+  '13.010': ['Wh', 'value.energy', 'level'],
+  '13.013': ['kWh', 'value.energy', 'level'],
+  '14.019': ['A', 'value.current', 'level'],
+  '14.027': ['V', 'value.voltage', 'level'],
+  '14.033': ['Hz', 'value.frequency', 'level'],
+  '14.056': ['W', 'value.power', 'level'],
+  '14.068': ['°C', 'value.temperature', 'level.temperature'],
+  '14.076': ['m³', 'value', 'level']
+};
+
+/**
+ * Value ranges of numeric DPT main types.
+ * @type {Record<number, [number, number]>}
+ */
+const NUMERIC_RANGES = {
+  5: [0, 255],
+  6: [-128, 127],
+  7: [0, 65535],
+  8: [-32768, 32767],
+  9: [-671088.64, 670760.96],
+  12: [0, 4294967295],
+  13: [-2147483648, 2147483647],
+  17: [0, 63]
+};
+
+/**
+ * ioBroker common type/role/unit/range inference from a DPT.
+ *
+ * `options.writable` selects control roles (`level.*`, `switch`) instead of sensor roles (`value.*`, `indicator`),
+ * `options.name` is used as a hint to tell blind positions from dimmer values for DPT 5.001 and light switches for DPT 1.001.
+ *
  * @param {string|undefined} dpt
- * @returns {{type: ioBroker.CommonType, role: string}}
+ * @param {{writable?: boolean, name?: string}} [options]
+ * @returns {{type: ioBroker.CommonType, role: string, unit?: string, min?: number, max?: number, states?: Record<string, string>}}
  */
-function inferCommonFromDpt(dpt) {
+function inferCommonFromDpt(dpt, options = {}) {
+  const codec = getDptCodec(dpt);
+  if (codec) return { ...codec.common };
+
   const major = dptMajor(dpt);
+  const minor = dptMinor(dpt);
+  const sub = major !== undefined && minor !== undefined ? `${major}.${String(minor).padStart(3, '0')}` : undefined;
+  const writable = options.writable !== false;
+  const name = String(options.name || '').toLowerCase();
 
   switch (major) {
-    case 1:
-      return { type: 'boolean', role: 'switch' };
+    case 1: {
+      const labels = minor !== undefined ? DPT1_LABELS[minor] : undefined;
+      const states = labels ? { false: labels[0], true: labels[1] } : undefined;
+
+      let role = writable ? 'switch' : 'indicator';
+      if (minor === 5) role = 'sensor.alarm';
+      else if (minor === 17) role = 'button';
+      else if (minor === 18) role = 'sensor.motion';
+      else if (minor === 19) role = 'sensor.window';
+      else if (writable && minor === 1 && /(light|licht|lamp|leuchte)/.test(name)) role = 'switch.light';
+
+      return states ? { type: 'boolean', role, states } : { type: 'boolean', role };
+    }
+    case 10:
     case 16:
       return { type: 'string', role: 'text' };
+    case 11:
     case 19:
       return { type: 'string', role: 'date' }; // stored as ISO string
+    case 20: {
+      const states = minor !== undefined ? DPT20_STATES[minor] : undefined;
+      let role = writable ? 'level' : 'value';
+      if (minor === 102 || minor === 105) role = writable ? 'level.mode.thermostat' : 'value';
+      const out = { type: 'number', role, min: 0, max: 255 };
+      if (states) out.states = { ...states };
+      return out;
+    }
     default:
-      return { type: 'number', role: 'value' };
+      break;
+  }
+
+  const common = { type: 'number', role: writable ? 'level' : 'value' };
+
+  const range = major !== undefined ? NUMERIC_RANGES[major] : undefined;
+  if (range) {
+    common.min = range[0];
+    common.max = range[1];
+  }
+
+  const known = sub ? NUMERIC_SUBTYPES[sub] : undefined;
+  if (known) {
+    if (known[0]) common.unit = known[0];
+    common.role = writable ? known[2] : known[1];
+  }
+
+  if (sub === '5.001') {
+    common.min = 0;
+    common.max = 100;
+    if (writable && /(blind|shutter|jalousie|rollo|rolllade|raff|behang|lamell|slat|position)/.test(name)) {
+      common.role = 'level.blind';
+    }
+  } else if (sub === '5.003') {
+    common.min = 0;
+    common.max = 360;
+  } else if (sub === '5.004' || sub === '5.010') {
+    common.min = 0;
+    common.max = 255;
   }
+
+  return common;
 }
 
 /**
@@ -107,13 +398,86 @@ function sanitizeIdSegment(name) {
   return s || 'unnamed';
 }
 
+/**
+ * Whether only the last of several queued writes to a GA with this DPT needs to be sent.
+ * Not for DPTs whose telegrams are commands rather than states: relative dimming/blind steps (3.x, a step
+ * followed by a stop), triggers, resets and acknowledges (1.015 … 1.017) and scenes (17.x, 18.x, 26.x).
+ * @param {string|undefined} dpt
+ * @returns {boolean}
+ */
+function isCoalescableDpt(dpt) {
+  const major = dptMajor(dpt);
+  if (major === 3 || major === 17 || major === 18 || major === 26) return false;
+  if (major === 1 && [15, 16, 17].includes(dptMinor(dpt))) return false;
+  return true;
+}
+
+/**
+ * DPT 10 (time of day) for knx.js: `HH:MM[:SS]` with optional day of week (`d/HH:MM:SS`, 1 = Monday … 7 = Sunday),
+ * ISO timestamps (as stored for received values), Dates and epoch milliseconds.
+ * @param {any} val
+ * @returns {Date|string} Date or `[d/]H:M:S`
+ */
+function toKnxTime(val) {
+  if (val instanceof Date && !isNaN(val.getTime())) return val;
+  if (typeof val === 'number' && Number.isFinite(val)) return new Date(val);
+
+  const s = typeof val === 'string' ? val.trim() : '';
+  const m = /^(?:([0-7])\/)?(\d{1,2}):(\d{1,2})(?::(\d{1,2}))?$/.exec(s);
+  if (m) {
+    const [hour, minute, second] = [m[2], m[3], m[4] || '0'].map(Number);
+    if (hour <= 23 && minute <= 59 && second <= 59) return `${m[1] ? `${m[1]}/` : ''}${hour}:${minute}:${second}`;
+  } else if (/^\d{4}-\d{2}-\d{2}T/.test(s)) {
+    const d = new Date(s);
+    if (!isNaN(d.getTime())) return d;
+  }
+  throw new Error(`Invalid time: ${JSON.stringify(val)} (expected HH:MM:SS)`);
+}
+
+/**
+ * DPT 11 (date) for knx.js: `YYYY-MM-DD`, `DD.MM.YYYY`, ISO timestamps, Dates and epoch milliseconds.
+ * Plain dates are taken as local dates (knx.js encodes the local day).
+ * @param {any} val
+ * @returns {Date}
+ */
+function toKnxDate(val) {
+  let d;
+  if (val instanceof Date) {
+    d = val;
+  } else if (typeof val === 'number' && Number.isFinite(val)) {
+    d = new Date(val);
+  } else if (typeof val === 'string') {
+    const s = val.trim();
+    const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(s);
+    const de = /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/.exec(s);
+    const [year, month, day] = iso ? [iso[1], iso[2], iso[3]] : de ? [de[3], de[2], de[1]] : [];
+    if (year) {
+      d = new Date(Number(year), Number(month) - 1, Number(day));
+      // no roll-over of e.g. 31.02. into March
+      if (d.getMonth() !== Number(month) - 1) d = undefined;
+    } else if (/^\d{4}-\d{2}-\d{2}T/.test(s)) {
+      d = new Date(s);
+    }
+  }
+  // DPT 11 covers 1990 … 2089
+  if (!d || isNaN(d.getTime()) || d.getFullYear() < 1990 || d.getFullYear() > 2089) {
+    throw new Error(`Invalid date: ${JSON.stringify(val)} (expected YYYY-MM-DD between 1990 and 2089)`);
+  }
+  return d;
+}
+
 /**
  * Coerce an incoming ioBroker state value to something knx.js Datapoint.write can handle.
+ * Compound DPTs with a codec are encoded to the raw payload Buffer.
+ * Throws on values that cannot be converted (codecs, DPT 10 time, DPT 11 date).
  * @param {any} val
  * @param {string|undefined} dpt
- * @returns {number|string|boolean|Date}
+ * @returns {number|string|boolean|Date|Buffer}
  */
 function coerceToKnxValue(val, dpt) {
+  const codec = getDptCodec(dpt);
+  if (codec) return codec.encode(val);
+
   const major = dptMajor(dpt);
 
   if (major === 1) {
@@ -128,6 +492,9 @@ function coerceToKnxValue(val, dpt) {
     return Boolean(val);
   }
 
+  if (major === 10) return toKnxTime(val);
+  if (major === 11) return toKnxDate(val);
+
   if (major === 16) {
     // text
     if (val === null || val === undefined) return '';
@@ -158,9 +525,16 @@ function coerceToKnxValue(val, dpt) {
 
 module.exports = {
   groupAddressNumberToString,
+  groupAddressStringToNumber,
   etsDptToKnxDpt,
   dptMajor,
+  dptMinor,
+  registerDptCodec,
+  unregisterDptCodec,
+  getDptCodec,
+  isRawCodec,
   inferCommonFromDpt,
   sanitizeIdSegment,
-  coerceToKnxValue
+  coerceToKnxValue,
+  isCoalescableDpt
 };
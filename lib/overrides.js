@@ -0,0 +1,154 @@
+'use strict';
+
+/**
+ * User overrides of imported GA metadata.
+ *
+ * Every import stores the values of the ETS project (or table) in `native.imported`, and the role/unit it derived
+ * from the effective DPT and flags in `native.generated`. On the next import, fields whose current value differs
+ * from these were edited by hand and are taken over into `native.overrides`; overrides win over the imported
+ * values until they are reverted.
+ *
+ * @typedef {{readFlag?:boolean, writeFlag?:boolean, transmitFlag?:boolean, updateFlag?:boolean}} FlagOverrides
+ * @typedef {{name?:any, role?:string, unit?:string, dpt?:string, statusGa?:string|null, flags?:FlagOverrides}} GaOverrides
+ */
+
+const OVERRIDE_FIELDS = ['name', 'role', 'unit', 'dpt', 'statusGa', 'flags'];
+/** fields stored in `native` instead of `common` */
+const NATIVE_FIELDS = ['dpt', 'statusGa', 'flags'];
+const FLAG_KEYS = ['readFlag', 'writeFlag', 'transmitFlag', 'updateFlag'];
+
+/**
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+function same(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Current value of an override field on an object.
+ * @param {ioBroker.Object} obj
+ * @param {string} field
+ * @returns {any}
+ */
+function currentValue(obj, field) {
+  if (NATIVE_FIELDS.includes(field)) return obj.native?.[field];
+  return obj.common?.[field];
+}
+
+/**
+ * Value an override field gets without the override: role and unit follow the effective DPT and flags.
+ * @param {ioBroker.Object} obj
+ * @param {string} field
+ * @returns {any}
+ */
+function importedValue(obj, field) {
+  const imported = obj.native?.imported || {};
+  // objects from before `native.generated`: role/unit were derived from the effective DPT then
+  const generated = obj.native?.generated && typeof obj.native.generated === 'object' ? obj.native.generated : imported;
+  return field === 'role' || field === 'unit' ? generated[field] : imported[field];
+}
+
+/**
+ * Overrides of an existing GA object: `native.overrides` plus fields edited by hand since the last import.
+ * @param {ioBroker.Object|null|undefined} obj
+ * @returns {GaOverrides}
+ */
+function collectOverrides(obj) {
+  const overrides = obj?.native?.overrides && typeof obj.native.overrides === 'object' ? { ...obj.native.overrides } : {};
+  const imported = obj?.native?.imported;
+  // objects from before this feature: nothing to compare with
+  if (!obj || !imported || typeof imported !== 'object') return overrides;
+
+  for (const field of ['name', 'role', 'unit', 'dpt']) {
+    if (overrides[field] !== undefined) continue;
+    const cur = currentValue(obj, field);
+    if (cur !== undefined && !same(cur, importedValue(obj, field))) overrides[field] = cur;
+  }
+
+  // only a status link set by an import may be changed or removed by the next one
+  if (overrides.statusGa === undefined) {
+    const cur = obj.native?.statusGa || null;
+    if (cur !== (imported.statusGa || null) && (cur || imported.statusGa !== undefined)) overrides.statusGa = cur;
+  }
+
+  const flags = { ...(overrides.flags || {}) };
+  for (const key of FLAG_KEYS) {
+    if (flags[key] !== undefined) continue;
+    const cur = obj.native?.flags?.[key];
+    if (cur !== undefined && Boolean(cur) !== Boolean(imported.flags?.[key])) flags[key] = Boolean(cur);
+  }
+  if (Object.keys(flags).length) overrides.flags = flags;
+
+  return overrides;
+}
+
+/**
+ * Overridden fields with their imported (ETS / table) values.
+ * @param {ioBroker.Object} obj
+ * @returns {Array<{field:string, value:any, imported:any}>}
+ */
+function describeOverrides(obj) {
+  const overrides = obj?.native?.overrides || {};
+  const imported = obj?.native?.imported || {};
+  const out = [];
+  for (const field of OVERRIDE_FIELDS) {
+    if (overrides[field] === undefined) continue;
+    if (field === 'flags') {
+      for (const key of FLAG_KEYS) {
+        if (overrides.flags[key] !== undefined) out.push({ field: `flags.${key}`, value: overrides.flags[key], imported: imported.flags?.[key] });
+      }
+    } else {
+      out.push({ field, value: overrides[field], imported: importedValue(obj, field) });
+    }
+  }
+  return out;
+}
+
+/**
+ * Remove one field (`name`, `flags.writeFlag`, `flags` ...) or all overrides and restore the imported values.
+ * Mutates and returns the object.
+ * @param {ioBroker.Object} obj
+ * @param {string} [field] all fields if omitted
+ * @returns {ioBroker.Object}
+ */
+function revertOverrides(obj, field) {
+  const overrides = { ...(obj.native?.overrides || {}) };
+  const imported = obj.native?.imported || {};
+  const flags = { ...(overrides.flags || {}) };
+
+  const fields = field ? [field] : OVERRIDE_FIELDS;
+  for (const f of fields) {
+    const [top, sub] = f.split('.');
+    if (top === 'flags') {
+      for (const key of sub ? [sub] : FLAG_KEYS) {
+        delete flags[key];
+        if (imported.flags?.[key] !== undefined) obj.native.flags = { ...obj.native.flags, [key]: Boolean(imported.flags[key]) };
+      }
+      continue;
+    }
+    delete overrides[top];
+    const value = importedValue(obj, top);
+    if (top === 'statusGa') {
+      // never imported: the link was entered by hand only
+      obj.native.statusGa = value ?? null;
+      continue;
+    }
+    if (value === undefined) continue;
+    if (top === 'dpt') obj.native.dpt = value;
+    else obj.common[top] = value;
+  }
+
+  if (Object.keys(flags).length) overrides.flags = flags;
+  else delete overrides.flags;
+  obj.native.overrides = overrides;
+  return obj;
+}
+
+module.exports = {
+  OVERRIDE_FIELDS,
+  collectOverrides,
+  describeOverrides,
+  revertOverrides
+};
@@ -0,0 +1,194 @@
+'use strict';
+
+const { inferCommonFromDpt } = require('./knx-utils');
+
+/**
+ * Per-datapoint value transformation between bus and ioBroker.
+ *
+ * Bus -> ioBroker: invert, then `value * scale + offset`, then `map`.
+ * ioBroker -> bus: the same steps reversed.
+ *
+ * @typedef {object} ValueTransform
+ * @property {boolean} invert booleans are negated, numbers mirrored in the DPT range (e.g. 100 - x for 5.001)
+ * @property {number} invertMin
+ * @property {number} invertMax
+ * @property {number} scale
+ * @property {number} offset
+ * @property {Map<string, any>|undefined} map bus value (as string) -> ioBroker value
+ */
+
+/**
+ * Accept a map as object (`{"1": "comfort"}`) or JSON string.
+ * @param {any} map
+ * @returns {Map<string, any>|undefined}
+ */
+function parseMap(map) {
+  let obj = map;
+  if (typeof obj === 'string') {
+    if (!obj.trim()) return undefined;
+    try {
+      obj = JSON.parse(obj);
+    } catch {
+      throw new Error(`Invalid transform map (expected JSON object): ${map}`);
+    }
+  }
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return undefined;
+  const entries = Object.entries(obj);
+  return entries.length ? new Map(entries) : undefined;
+}
+
+/**
+ * Build a transform from `native.transform` ({invert, scale, offset, map}) and the instance's `custom`
+ * settings (`trInvert`, `trScale`, `trOffset`, `trMap`), the latter taking precedence.
+ * @param {any} native
+ * @param {any} custom
+ * @param {string} [dpt]
+ * @returns {ValueTransform|undefined} undefined if nothing is configured
+ */
+function parseTransform(native, custom, dpt) {
+  const cfg = { ...(native && typeof native === 'object' ? native : {}) };
+  if (custom?.enabled) {
+    for (const key of ['invert', 'scale', 'offset', 'map']) {
+      const customKey = `tr${key[0].toUpperCase()}${key.slice(1)}`;
+      if (custom[customKey] !== undefined && custom[customKey] !== '') cfg[key] = custom[customKey];
+    }
+  }
+
+  const scale = cfg.scale === undefined || cfg.scale === '' ? 1 : Number(cfg.scale);
+  if (!Number.isFinite(scale) || scale === 0) throw new Error(`Invalid transform scale: ${cfg.scale}`);
+  const offset = Number(cfg.offset) || 0;
+  const map = parseMap(cfg.map);
+  const invert = Boolean(cfg.invert);
+
+  if (!invert && scale === 1 && offset === 0 && !map) return undefined;
+
+  const common = inferCommonFromDpt(dpt);
+  return {
+    invert,
+    invertMin: typeof common.min === 'number' ? common.min : 0,
+    invertMax: typeof common.max === 'number' ? common.max : 100,
+    scale,
+    offset,
+    map
+  };
+}
+
+/**
+ * @param {ValueTransform} t
+ * @param {any} val
+ * @returns {any}
+ */
+function invertValue(t, val) {
+  if (typeof val === 'boolean') return !val;
+  if (typeof val === 'number') return t.invertMin + t.invertMax - val;
+  return val;
+}
+
+/**
+ * Bus value (as stored in the state) -> ioBroker value.
+ * @param {ValueTransform|undefined} t
+ * @param {any} val
+ * @returns {any}
+ */
+function transformInbound(t, val) {
+  if (!t || val === null || val === undefined) return val;
+
+  let v = t.invert ? invertValue(t, val) : val;
+  if (typeof v === 'number' && (t.scale !== 1 || t.offset !== 0)) {
+    v = v * t.scale + t.offset;
+  }
+  if (t.map && t.map.has(String(v))) {
+    v = t.map.get(String(v));
+  }
+  return v;
+}
+
+/**
+ * ioBroker value -> bus value (reverse of `transformInbound`).
+ * @param {ValueTransform|undefined} t
+ * @param {any} val
+ * @returns {any}
+ */
+function transformOutbound(t, val) {
+  if (!t || val === null || val === undefined) return val;
+
+  let v = val;
+  if (t.map) {
+    for (const [busValue, iobValue] of t.map) {
+      if (String(iobValue) === String(v)) {
+        // map keys are strings; restore numbers/booleans for the encoder
+        v = busValue === 'true' || busValue === 'false' ? busValue === 'true' : Number.isFinite(Number(busValue)) ? Number(busValue) : busValue;
+        break;
+      }
+    }
+  }
+  if (t.scale !== 1 || t.offset !== 0) {
+    const n = typeof v === 'number' ? v : Number(v);
+    if (Number.isFinite(n)) v = (n - t.offset) / t.scale;
+  }
+  return t.invert ? invertValue(t, v) : v;
+}
+
+/**
+ * Round away float noise from scaling, e.g. 255 * 0.4 -> 102 instead of 102.00000000000001.
+ * @param {number} n
+ * @returns {number}
+ */
+function roundRange(n) {
+  return Number(n.toPrecision(12));
+}
+
+/**
+ * Fit `common` derived from the DPT to transformed values: min/max are transformed as well,
+ * the unit and states of the bus value no longer apply once values are scaled, shifted or mapped.
+ * @param {Record<string, any>} common
+ * @param {ValueTransform|undefined} t
+ * @returns {Record<string, any>} a copy; `common` itself if there is no transform
+ */
+function transformCommon(common, t) {
+  if (!t) return common;
+  const out = { ...common };
+  const scaled = t.scale !== 1 || t.offset !== 0;
+
+  if (t.map) {
+    // mapped values can be anything
+    delete out.min;
+    delete out.max;
+  } else if (typeof out.min === 'number' && typeof out.max === 'number') {
+    const a = transformInbound(t, out.min);
+    const b = transformInbound(t, out.max);
+    out.min = roundRange(Math.min(a, b));
+    out.max = roundRange(Math.max(a, b));
+  } else if (scaled) {
+    delete out.min;
+    delete out.max;
+  }
+
+  if (scaled || t.map) {
+    delete out.unit;
+    delete out.states;
+  } else if (t.invert && out.states) {
+    // an inverted boolean keeps its labels with the bus value they belong to
+    if (out.type === 'boolean') out.states = { false: out.states.true, true: out.states.false };
+    else delete out.states;
+  }
+  return out;
+}
+
+/**
+ * @param {ValueTransform|undefined} a
+ * @param {ValueTransform|undefined} b
+ * @returns {boolean}
+ */
+function sameTransform(a, b) {
+  const key = (t) => (t ? JSON.stringify({ ...t, map: t.map ? [...t.map] : undefined }) : '');
+  return key(a) === key(b);
+}
+
+module.exports = {
+  parseTransform,
+  transformCommon,
+  sameTransform,
+  transformInbound,
+  transformOutbound
+};
@@ -0,0 +1,54 @@
+'use strict';
+
+/**
+ * Minimal XML tag scanner for the attribute-only XML files ETS exports
+ * (keyring, group address export, project data). No text nodes, no namespaces handling.
+ */
+
+/**
+ * Parse all attributes of a single XML start tag.
+ * @param {string} attrText
+ * @returns {Record<string, string>}
+ */
+function parseAttributes(attrText) {
+  /** @type {Record<string, string>} */
+  const attrs = {};
+  const re = /([A-Za-z_][\w.\-:]*)\s*=\s*"([^"]*)"/g;
+  let m;
+  while ((m = re.exec(attrText))) {
+    attrs[m[1]] = m[2]
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  }
+  return attrs;
+}
+
+/**
+ * Iterate over all start tags `<tag ...>` of an XML document in document order.
+ * @param {string} xml
+ * @param {Set<string>} [only] restrict the result to these tag names (keeps large project files cheap)
+ * @returns {Array<{tag:string, attrs:Record<string, string>, selfClosing:boolean, close:boolean}>}
+ */
+function scanTags(xml, only) {
+  const out = [];
+  const re = /<(\/?)([A-Za-z_][\w.\-:]*)([^>]*?)(\/?)>/g;
+  let m;
+  while ((m = re.exec(xml))) {
+    if (only && !only.has(m[2])) continue;
+    out.push({
+      tag: m[2],
+      attrs: m[1] ? {} : parseAttributes(m[3]),
+      selfClosing: Boolean(m[4]),
+      close: Boolean(m[1])
+    });
+  }
+  return out;
+}
+
+module.exports = {
+  parseAttributes,
+  scanTags
+};
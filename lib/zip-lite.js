@@ -0,0 +1,319 @@
+'use strict';
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+/**
+ * Minimal ZIP reader/writer for ETS project containers.
+ *
+ * Supports stored/deflated entries, ZipCrypto and WinZip AES (AE-1/AE-2) encryption.
+ * No ZIP64, no multi-disk archives (neither is used by ETS).
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c;
+  }
+  return table;
+})();
+
+/**
+ * @param {number} crc current CRC (already inverted)
+ * @param {number} b byte
+ * @returns {number}
+ */
+function crc32Byte(crc, b) {
+  return CRC_TABLE[(crc ^ b) & 0xff] ^ (crc >>> 8);
+}
+
+/**
+ * @param {Buffer} buf
+ * @returns {number}
+ */
+function crc32(buf) {
+  let crc = -1;
+  for (let i = 0; i < buf.length; i++) crc = crc32Byte(crc, buf[i]);
+  return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Thrown when an entry is encrypted and no (or a wrong) password was given.
+ */
+class ZipPasswordError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'ZipPasswordError';
+  }
+}
+
+/**
+ * @typedef {object} ZipEntry
+ * @property {string} name
+ * @property {number} method compression method (0 stored, 8 deflate, 99 AES)
+ * @property {number} flags general purpose bit flags
+ * @property {number} crc
+ * @property {number} size uncompressed size
+ * @property {number} time DOS time
+ * @property {Buffer} extra
+ * @property {Buffer} raw compressed (and possibly encrypted) data
+ */
+
+/**
+ * Read the central directory of a ZIP file.
+ * @param {Buffer} buf
+ * @returns {ZipEntry[]}
+ */
+function readZip(buf) {
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('Not a ZIP file (end of central directory not found)');
+
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (buf.readUInt32LE(p) !== 0x02014b50) throw new Error('Damaged ZIP file (central directory)');
+
+    const flags = buf.readUInt16LE(p + 8);
+    const method = buf.readUInt16LE(p + 10);
+    const time = buf.readUInt16LE(p + 12);
+    const crc = buf.readUInt32LE(p + 16);
+    const compressedSize = buf.readUInt32LE(p + 20);
+    const size = buf.readUInt32LE(p + 24);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const localOffset = buf.readUInt32LE(p + 42);
+    const name = buf.subarray(p + 46, p + 46 + nameLen).toString(flags & 0x800 ? 'utf8' : 'latin1');
+    const extra = buf.subarray(p + 46 + nameLen, p + 46 + nameLen + extraLen);
+
+    if (buf.readUInt32LE(localOffset) !== 0x04034b50) throw new Error(`Damaged ZIP file (local header of ${name})`);
+    const dataStart = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+
+    entries.push({
+      name,
+      method,
+      flags,
+      crc,
+      size,
+      time,
+      extra,
+      raw: buf.subarray(dataStart, dataStart + compressedSize)
+    });
+
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+
+  return entries;
+}
+
+/**
+ * Find an extra field by header id.
+ * @param {Buffer} extra
+ * @param {number} id
+ * @returns {Buffer|undefined}
+ */
+function findExtraField(extra, id) {
+  let p = 0;
+  while (p + 4 <= extra.length) {
+    const hid = extra.readUInt16LE(p);
+    const len = extra.readUInt16LE(p + 2);
+    if (hid === id) return extra.subarray(p + 4, p + 4 + len);
+    p += 4 + len;
+  }
+  return undefined;
+}
+
+/**
+ * Decrypt a ZipCrypto (traditional PKWARE) encrypted entry.
+ * @param {ZipEntry} entry
+ * @param {Buffer} password
+ * @returns {Buffer} compressed data
+ */
+function decryptZipCrypto(entry, password) {
+  let k0 = 0x12345678;
+  let k1 = 0x23456789;
+  let k2 = 0x34567890;
+  const update = (b) => {
+    k0 = crc32Byte(k0, b);
+    k1 = (Math.imul((k1 + (k0 & 0xff)) >>> 0, 134775813) + 1) >>> 0;
+    k2 = crc32Byte(k2, k1 >>> 24);
+  };
+  for (const b of password) update(b);
+
+  const out = Buffer.alloc(entry.raw.length);
+  for (let i = 0; i < entry.raw.length; i++) {
+    const t = (k2 | 2) & 0xffff;
+    const b = entry.raw[i] ^ ((Math.imul(t, t ^ 1) >>> 8) & 0xff);
+    out[i] = b;
+    update(b);
+  }
+
+  // last header byte is the high byte of the CRC (or of the DOS time with a data descriptor)
+  const check = entry.flags & 0x08 ? (entry.time >>> 8) & 0xff : entry.crc >>> 24;
+  if (out.length < 12 || out[11] !== check) {
+    throw new ZipPasswordError(`Wrong password for ${entry.name}`);
+  }
+  return out.subarray(12);
+}
+
+/**
+ * Decrypt a WinZip AES encrypted entry.
+ * @param {ZipEntry} entry
+ * @param {Buffer} password
+ * @param {number} strength 1 = AES-128, 2 = AES-192, 3 = AES-256
+ * @returns {Buffer} compressed data
+ */
+function decryptWinZipAes(entry, password, strength) {
+  const keyLen = [0, 16, 24, 32][strength];
+  if (!keyLen) throw new Error(`Unsupported AES strength ${strength} in ${entry.name}`);
+
+  const saltLen = keyLen / 2;
+  const salt = entry.raw.subarray(0, saltLen);
+  const verifier = entry.raw.subarray(saltLen, saltLen + 2);
+  const data = entry.raw.subarray(saltLen + 2, entry.raw.length - 10);
+  const mac = entry.raw.subarray(entry.raw.length - 10);
+
+  const derived = crypto.pbkdf2Sync(password, salt, 1000, keyLen * 2 + 2, 'sha1');
+  const encKey = derived.subarray(0, keyLen);
+  const authKey = derived.subarray(keyLen, keyLen * 2);
+  if (!derived.subarray(keyLen * 2).equals(verifier)) {
+    throw new ZipPasswordError(`Wrong password for ${entry.name}`);
+  }
+
+  const hmac = crypto.createHmac('sha1', authKey).update(data).digest().subarray(0, 10);
+  // the 2 byte verifier also matches some wrong passwords
+  if (!hmac.equals(mac)) throw new ZipPasswordError(`Wrong password for ${entry.name} (or the entry is damaged)`);
+
+  // AES-CTR with a little-endian block counter starting at 1
+  const blocks = Math.ceil(data.length / 16);
+  const counters = Buffer.alloc(blocks * 16);
+  for (let i = 0; i < blocks; i++) counters.writeUInt32LE(i + 1, i * 16);
+  const cipher = crypto.createCipheriv(`aes-${keyLen * 8}-ecb`, encKey, null);
+  cipher.setAutoPadding(false);
+  const stream = Buffer.concat([cipher.update(counters), cipher.final()]);
+
+  const out = Buffer.alloc(data.length);
+  for (let i = 0; i < data.length; i++) out[i] = data[i] ^ stream[i];
+  return out;
+}
+
+/**
+ * Extract (decrypt + inflate) a ZIP entry.
+ * @param {ZipEntry} entry
+ * @param {string|Buffer} [password]
+ * @returns {Buffer}
+ */
+function extractEntry(entry, password) {
+  let data = entry.raw;
+  let method = entry.method;
+  let checkCrc = true;
+
+  if (entry.flags & 0x01) {
+    if (password === undefined || password === null || password === '') {
+      throw new ZipPasswordError(`${entry.name} is encrypted, but no password was given`);
+    }
+    const pw = Buffer.isBuffer(password) ? password : Buffer.from(String(password), 'utf8');
+
+    if (method === 99) {
+      const aes = findExtraField(entry.extra, 0x9901);
+      if (!aes || aes.length < 7) throw new Error(`Damaged ZIP entry ${entry.name} (AES header missing)`);
+      // AE-2 stores no CRC, integrity is covered by the HMAC
+      checkCrc = aes.readUInt16LE(0) === 1;
+      method = aes.readUInt16LE(5);
+      data = decryptWinZipAes(entry, pw, aes[4]);
+    } else {
+      data = decryptZipCrypto(entry, pw);
+    }
+  }
+
+  let out;
+  if (method === 0) {
+    out = Buffer.from(data);
+  } else if (method === 8) {
+    try {
+      out = zlib.inflateRawSync(data);
+    } catch {
+      // the ZipCrypto check byte matches one in 256 wrong passwords, the data is garbage then
+      if (entry.flags & 0x01) throw new ZipPasswordError(`Wrong password for ${entry.name}`);
+      throw new Error(`Damaged ZIP entry ${entry.name} (invalid deflate data)`);
+    }
+  } else {
+    throw new Error(`Unsupported compression method ${method} in ${entry.name}`);
+  }
+
+  if (checkCrc && crc32(out) !== entry.crc) {
+    if (entry.flags & 0x01) throw new ZipPasswordError(`Wrong password for ${entry.name}`);
+    throw new Error(`Damaged ZIP entry ${entry.name} (CRC mismatch)`);
+  }
+  return out;
+}
+
+/**
+ * Write an uncompressed ZIP file.
+ * @param {Array<{name:string, data:Buffer}>} files
+ * @returns {Buffer}
+ */
+function writeZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const f of files) {
+    const name = Buffer.from(f.name, 'utf8');
+    const crc = crc32(f.data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x800, 6);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(f.data.length, 18);
+    local.writeUInt32LE(f.data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x800, 8);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(f.data.length, 20);
+    central.writeUInt32LE(f.data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, name, f.data);
+    centrals.push(central, name);
+    offset += local.length + name.length + f.data.length;
+  }
+
+  const cd = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(files.length, 8);
+  eocd.writeUInt16LE(files.length, 10);
+  eocd.writeUInt32LE(cd.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, cd, eocd]);
+}
+
+module.exports = {
+  ZipPasswordError,
+  readZip,
+  extractEntry,
+  writeZip
+};
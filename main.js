@@ -4,12 +4,40 @@ const utils = require('@iobroker/adapter-core');
 const knx = require('knx');
 
 const {
+  getDptCodec,
   inferCommonFromDpt,
   sanitizeIdSegment,
-  coerceToKnxValue
+  coerceToKnxValue,
+  isCoalescableDpt
 } = require('./lib/knx-utils');
-
-const { importEtsProject } = require('./lib/ets-import');
+const { CodecDatapoint, encodeFrame } = require('./lib/knx-datapoint');
+
+const { parseTransform, transformCommon, sameTransform, transformInbound, transformOutbound } = require('./lib/value-transform');
+const { parseInboundFilter, evaluateInboundFilter } = require('./lib/inbound-filter');
+const { importEtsProject, diffEtsEntries, resolveIdCollisions } = require('./lib/ets-import');
+const { collectOverrides, describeOverrides, revertOverrides } = require('./lib/overrides');
+const { createImportFilter } = require('./lib/import-filter');
+const { parseKeyring } = require('./lib/knx-keyring');
+
+/** TX priorities: explicit writes are sent before bulk reads */
+const TX_PRIO_WRITE = 0;
+const TX_PRIO_READ = 1;
+
+/** knx.js always binds routing (multicast) sockets to the KNXnet/IP default port */
+const KNX_ROUTING_PORT = 3671;
+
+/** Files the ETS import understands (project and group address exports) */
+const ETS_FILE_EXTENSIONS = ['.knxproj', '.csv', '.xml'];
+
+/** Import filter settings, see lib/import-filter.js */
+const IMPORT_FILTER_KEYS = [
+  'importIncludeGas',
+  'importExcludeGas',
+  'importIncludeRanges',
+  'importExcludeRanges',
+  'importIncludeDpts',
+  'importExcludeDpts'
+];
 
 class NexowattKnx extends utils.Adapter {
   constructor(options = {}) {
@@ -21,19 +49,90 @@ class NexowattKnx extends utils.Adapter {
     this.knxConnection = null;
     this.knxConnected = false;
 
-    /** @type {Map<string, any>} relativeStateId -> knx.Datapoint */
+    /** @type {Array<{ip:string, port:number}>} primary gateway first, then fallbacks */
+    this.gateways = [];
+    this.gatewayIndex = 0;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.connectWatchdog = null;
+    this.unloading = false;
+    this.multicastPortWarned = false;
+
+    /** @type {ReturnType<typeof parseKeyring>|null} decrypted ETS keyring (memory only) */
+    this.keyring = null;
+    /** @type {Set<string>} GAs protected by KNX Data Secure according to the keyring */
+    this.securedGas = new Set();
+    this.secureWarned = false;
+
+    /** @type {Map<string, any>} relativeStateId -> knx.Datapoint | CodecDatapoint */
     this.datapointsByStateId = new Map();
+    /** @type {Map<string, any>} relativeStateId -> datapoint listening on the status GA */
+    this.feedbackDatapointsByStateId = new Map();
 
-    /** @type {Map<string, {ga:string, dpt?:string, flags:{readFlag:boolean, writeFlag:boolean, transmitFlag:boolean, updateFlag:boolean}}>} */
+    /** @type {Map<string, {ga:string, dpt?:string, secured?:boolean, statusGa?:string, pollIntervalMs?:number, respondToRead?:boolean, inbound?:{minIntervalMs:number, deadband:number, deadbandPercent:boolean, onlyOnChange:boolean}, transform?:import('./lib/value-transform').ValueTransform, flags:{readFlag:boolean, writeFlag:boolean, transmitFlag:boolean, updateFlag:boolean}}>} */
     this.metaByStateId = new Map();
 
-    /** @type {Array<{fn: () => void, descr: string}>} */
-    this.txQueue = [];
+    /** @type {Map<string, string[]>} GA -> relative state ids */
+    this.stateIdsByGa = new Map();
+
+    /** @type {Array<{ts:number, src:string, ga:string, apci:'write'|'read'|'response', data:string}>} group monitor ring buffer */
+    this.telegrams = [];
+    this.telegramsStart = 0;
+    this.monitorStateTimer = null;
+    /** @type {Set<string>} GAs currently being created under `ga._discovered` */
+    this.discovering = new Set();
+    /** @type {Set<string>} GAs of objects that are not bound (orphaned); they are not discovered again */
+    this.unboundGas = new Set();
+
+    /** @type {Array<Array<{fn: () => void, descr: string, key?: string, priority: number, ts: number}>>} one FIFO per priority */
+    this.txQueue = [[], []];
+    /** @type {Map<string, {fn: () => void, descr: string, key?: string, priority: number, ts: number}>} coalescing key -> queued job */
+    this.txJobsByKey = new Map();
     this.txTimer = null;
+    this.txDropped = 0;
+    this.txStatsTimer = null;
+
+    /** @type {Map<string, {ga:string, statusGa?:string, val:any, sent:boolean, timer:any}>} relativeStateId -> write waiting for confirmation */
+    this.pendingWrites = new Map();
+
+    /** @type {Map<string, number>} relativeStateId -> next poll (GroupValueRead) timestamp */
+    this.pollSchedule = new Map();
+    this.pollTimer = null;
+
+    /**
+     * Foreign states published to the bus (export table + `custom` settings)
+     * @type {Map<string, Array<{ga:string, dpt?:string, onChange:boolean, delta:number, cycleMs:number, source:'table'|'custom', value:any, hasValue:boolean, lastSent:any, lastSentAt:number}>>}
+     */
+    this.exportBindings = new Map();
+    this.exportTimer = null;
+    this.exportReloadTimer = null;
+
+    /** @type {Map<string, {val:any, ts:number}>} relativeStateId -> last value written to the state */
+    this.inboundLast = new Map();
+    /** @type {Map<string, {val:any, timer:any}>} relativeStateId -> value held back by the minimum interval */
+    this.inboundPending = new Map();
+
+    /** @type {Set<string>} alias folders/channels already written during the current import */
+    this.aliasParents = new Set();
+
+    // Automatic ETS import
+    this.etsWatchTimer = null;
+    this.etsWatchDebounce = null;
+    this.etsWatchBusy = false;
+    /** @type {{path:string, t:number}|null} newest ETS file at the last check */
+    this.etsWatchSeen = null;
+
+    // Routing flow control (ROUTING_BUSY / ROUTING_LOST_MESSAGE)
+    this.txPausedUntil = 0;
+    this.txExtraDelayMs = 0;
+    this.lastTxAt = 0;
+    this.lastBusyAt = 0;
 
     this.on('ready', this.onReady.bind(this));
     this.on('stateChange', this.onStateChange.bind(this));
     this.on('message', this.onMessage.bind(this));
+    this.on('objectChange', this.onObjectChange.bind(this));
+    this.on('fileChange', this.onFileChange.bind(this));
     this.on('unload', this.onUnload.bind(this));
   }
 
@@ -77,8 +176,79 @@ class NexowattKnx extends utils.Adapter {
       common: { name: 'ETS project hash', type: 'string', role: 'text', read: true, write: false },
       native: {}
     });
+    await this.setObjectNotExistsAsync('info.groupMonitor', {
+      type: 'state',
+      common: { name: 'Group monitor (recent telegrams)', type: 'string', role: 'json', read: true, write: false },
+      native: {}
+    });
+    await this.setObjectNotExistsAsync('info.lastImport', {
+      type: 'state',
+      common: { name: 'Last ETS import (summary)', type: 'string', role: 'json', read: true, write: false },
+      native: {}
+    });
+    await this.setObjectNotExistsAsync('info.txQueueLength', {
+      type: 'state',
+      common: { name: 'TX queue length', type: 'number', role: 'value', read: true, write: false, def: 0 },
+      native: {}
+    });
+    await this.setObjectNotExistsAsync('info.txDropped', {
+      type: 'state',
+      common: { name: 'Dropped TX jobs (since start)', type: 'number', role: 'value', read: true, write: false, def: 0 },
+      native: {}
+    });
+    await this.setObjectNotExistsAsync('info.txOldestJobAge', {
+      type: 'state',
+      common: { name: 'Age of the oldest queued TX job', type: 'number', role: 'value.interval', unit: 'ms', read: true, write: false, def: 0 },
+      native: {}
+    });
+    await this.setObjectNotExistsAsync('info.lastWriteError', {
+      type: 'state',
+      common: { name: 'Last unconfirmed write', type: 'string', role: 'json', read: true, write: false },
+      native: {}
+    });
+    await this.setObjectNotExistsAsync('info.currentGateway', {
+      type: 'state',
+      common: { name: 'Current KNX/IP gateway', type: 'string', role: 'info.address', read: true, write: false },
+      native: {}
+    });
+    await this.setObjectNotExistsAsync('info.reconnectCount', {
+      type: 'state',
+      common: { name: 'Reconnect attempts since last connect', type: 'number', role: 'value', read: true, write: false, def: 0 },
+      native: {}
+    });
+    await this.setObjectNotExistsAsync('info.lastConnected', {
+      type: 'state',
+      common: { name: 'Last successful connect', type: 'number', role: 'value.time', read: true, write: false },
+      native: {}
+    });
 
     await this.setStateAsync('info.connection', false, true);
+    await this.setStateAsync('info.reconnectCount', 0, true);
+    await this.setStateAsync('info.txQueueLength', 0, true);
+    await this.setStateAsync('info.txDropped', 0, true);
+    await this.setStateAsync('info.txOldestJobAge', 0, true);
+
+    // Load KNX Secure keyring (optional) before objects are created, so `native.secured` is correct
+    if (this.config.keyringFile) {
+      try {
+        await this.loadKeyring();
+      } catch (e) {
+        this.log.error(`Keyring import failed: ${e?.message || e}`);
+      }
+    }
+
+    // With automatic import the newest uploaded file wins over the configured one
+    if (this.config.autoImport) {
+      try {
+        const latest = await this.detectLatestEtsFile();
+        if (latest && latest !== this.config.etsProjectFile) {
+          this.log.info(`Using newest ETS file ${latest} (configured: ${this.config.etsProjectFile || 'none'})`);
+          this.config.etsProjectFile = latest;
+        }
+      } catch (e) {
+        this.log.warn(`Scanning for ETS files failed: ${e?.message || e}`);
+      }
+    }
 
     // Import ETS project (optional)
     if (this.config.importOnStart && this.config.etsProjectFile) {
@@ -102,18 +272,75 @@ class NexowattKnx extends utils.Adapter {
     // Subscribe to state changes (commands from scripts/visualisations)
     this.subscribeStates('ga.*');
 
+    // Foreign states published to KNX; `custom` settings can change at any time
+    try {
+      await this.loadExportBindings();
+    } catch (e) {
+      this.log.error(`Loading KNX exports failed: ${e?.message || e}`);
+    }
+    this.subscribeForeignObjects('*');
+
+    this.startEtsWatcher();
+
     // Connect to KNX
     this.connectKnx();
   }
 
   onUnload(callback) {
+    this.unloading = true;
+
     try {
+      if (this.reconnectTimer) {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+      }
+      if (this.connectWatchdog) {
+        clearTimeout(this.connectWatchdog);
+        this.connectWatchdog = null;
+      }
+      if (this.monitorStateTimer) {
+        clearTimeout(this.monitorStateTimer);
+        this.monitorStateTimer = null;
+      }
+      if (this.txStatsTimer) {
+        clearTimeout(this.txStatsTimer);
+        this.txStatsTimer = null;
+      }
+
       if (this.txTimer) {
         clearInterval(this.txTimer);
         this.txTimer = null;
       }
+      if (this.pollTimer) {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+      }
+      if (this.exportTimer) {
+        clearInterval(this.exportTimer);
+        this.exportTimer = null;
+      }
+      if (this.exportReloadTimer) {
+        clearTimeout(this.exportReloadTimer);
+        this.exportReloadTimer = null;
+      }
+      if (this.etsWatchTimer) {
+        clearInterval(this.etsWatchTimer);
+        this.etsWatchTimer = null;
+      }
+      if (this.etsWatchDebounce) {
+        clearTimeout(this.etsWatchDebounce);
+        this.etsWatchDebounce = null;
+      }
+      for (const pending of this.inboundPending.values()) {
+        clearTimeout(pending.timer);
+      }
+      this.inboundPending.clear();
+      for (const pending of this.pendingWrites.values()) {
+        clearTimeout(pending.timer);
+      }
+      this.pendingWrites.clear();
 
-      for (const dp of this.datapointsByStateId.values()) {
+      for (const dp of [...this.datapointsByStateId.values(), ...this.feedbackDatapointsByStateId.values()]) {
         try {
           dp.removeAllListeners();
         } catch {
@@ -121,10 +348,11 @@ class NexowattKnx extends utils.Adapter {
         }
       }
       this.datapointsByStateId.clear();
+      this.feedbackDatapointsByStateId.clear();
 
       if (this.knxConnection) {
         this.log.info('Disconnecting KNX...');
-        this.knxConnection.Disconnect(() => callback());
+        this.destroyKnxConnection().then(() => callback());
         return;
       }
     } catch (e) {
@@ -143,14 +371,126 @@ class NexowattKnx extends utils.Adapter {
 
     if (obj.command === 'importEts') {
       try {
-        await this.doImportEtsProject();
+        const force = Boolean(obj.message && typeof obj.message === 'object' && obj.message.force);
+        const report = await this.doImportEtsProject({ force });
+        await this.rebuildRuntimeMapping();
+        this.createDatapoints();
+        this.sendTo(obj.from, obj.command, { ok: true, result: report }, obj.callback);
+      } catch (e) {
+        this.sendTo(obj.from, obj.command, { ok: false, error: e?.message || String(e) }, obj.callback);
+      }
+    }
+
+    if (obj.command === 'previewEts') {
+      try {
+        const result = await this.previewEtsImport();
+        this.sendTo(obj.from, obj.command, { ok: true, result }, obj.callback);
+      } catch (e) {
+        this.sendTo(obj.from, obj.command, { ok: false, error: e?.message || String(e) }, obj.callback);
+      }
+    }
+
+    if (obj.command === 'applyEts') {
+      try {
+        const msg = obj.message && typeof obj.message === 'object' ? obj.message : {};
+        const plan = await this.planEtsImport();
+        // the preview was reviewed for a specific file + settings
+        if (msg.hash && msg.hash !== plan.hash) {
+          throw new Error('ETS project or import settings changed since the preview, please preview again');
+        }
+        const ids = Array.isArray(msg.ids) ? msg.ids : undefined;
+        const report = await this.applyEtsPlan(plan, { force: Boolean(msg.force), ids });
+        await this.rebuildRuntimeMapping();
+        this.createDatapoints();
+        this.sendTo(obj.from, obj.command, { ok: true, result: report }, obj.callback);
+      } catch (e) {
+        this.sendTo(obj.from, obj.command, { ok: false, error: e?.message || String(e) }, obj.callback);
+      }
+    }
+
+    if (obj.command === 'importKeyring') {
+      try {
+        const summary = await this.loadKeyring();
+        await this.markSecuredGaObjects();
+        await this.rebuildRuntimeMapping();
+        this.createDatapoints();
+        this.sendTo(obj.from, obj.command, { ok: true, result: summary }, obj.callback);
+      } catch (e) {
+        this.sendTo(obj.from, obj.command, { ok: false, error: e?.message || String(e) }, obj.callback);
+      }
+    }
+
+    if (obj.command === 'detectKeyring') {
+      try {
+        const file = await this.detectLatestFile(['.knxkeys']);
+        if (!file) {
+          this.sendTo(
+            obj.from,
+            obj.command,
+            {
+              ok: false,
+              error: `No .knxkeys found in ioBroker Files for ${this.namespace} (checked root and 'ets/' folder).`
+            },
+            obj.callback
+          );
+          return;
+        }
+
+        this.sendTo(
+          obj.from,
+          obj.command,
+          {
+            ok: true,
+            native: {
+              keyringFile: file
+            },
+            saveConfig: true,
+            result: file
+          },
+          obj.callback
+        );
+      } catch (e) {
+        this.sendTo(obj.from, obj.command, { ok: false, error: e?.message || String(e) }, obj.callback);
+      }
+    }
+
+    if (obj.command === 'listOverrides') {
+      try {
+        this.sendTo(obj.from, obj.command, await this.listOverrides(), obj.callback);
+      } catch (e) {
+        this.sendTo(obj.from, obj.command, e?.message || String(e), obj.callback);
+      }
+    }
+
+    if (obj.command === 'getOverrideIds') {
+      try {
+        const options = [{ label: '–', value: '' }];
+        for (const [idRel, obj2] of await this.loadGaObjects()) {
+          if (describeOverrides(obj2).length) options.push({ label: idRel, value: idRel });
+        }
+        this.sendTo(obj.from, obj.command, options, obj.callback);
+      } catch (e) {
+        this.sendTo(obj.from, obj.command, [], obj.callback);
+      }
+    }
+
+    if (obj.command === 'revertOverride') {
+      try {
+        const msg = obj.message && typeof obj.message === 'object' ? obj.message : {};
+        const result = await this.revertOverride(String(msg.id || ''), msg.field ? String(msg.field) : undefined);
         await this.rebuildRuntimeMapping();
-        this.sendTo(obj.from, obj.command, { ok: true }, obj.callback);
+        this.createDatapoints();
+        this.sendTo(obj.from, obj.command, { ok: true, result }, obj.callback);
       } catch (e) {
         this.sendTo(obj.from, obj.command, { ok: false, error: e?.message || String(e) }, obj.callback);
       }
     }
 
+    if (obj.command === 'getTelegrams') {
+      const msg = obj.message && typeof obj.message === 'object' ? obj.message : {};
+      this.sendTo(obj.from, obj.command, { ok: true, result: this.getTelegrams(msg) }, obj.callback);
+    }
+
     if (obj.command === 'detectEts') {
       try {
         const file = await this.detectLatestEtsFile();
@@ -160,7 +500,7 @@ class NexowattKnx extends utils.Adapter {
             obj.command,
             {
               ok: false,
-              error: `No .knxproj found in ioBroker Files for ${this.namespace} (checked root and 'ets/' folder).`
+              error: `No .knxproj / GA export (.csv, .xml) found in ioBroker Files for ${this.namespace} (checked root and 'ets/' folder).`
             },
             obj.callback
           );
@@ -191,30 +531,236 @@ class NexowattKnx extends utils.Adapter {
   // Mapping / objects
   // -------------------------
 
-  async doImportEtsProject() {
+  /**
+   * Import the configured ETS project.
+   *
+   * The import is skipped if the file hash matches `info.etsHash` (unless `force` is set).
+   * Otherwise only added/changed entries are written and a change report is returned.
+   *
+   * @param {{force?: boolean}} [options]
+   * @returns {Promise<Record<string, any>>} change report
+   */
+  async doImportEtsProject(options = {}) {
+    const plan = await this.planEtsImport({ skipUnchanged: !options.force });
+
+    if (plan.unchanged) {
+      this.log.info('ETS project unchanged (same hash) – import skipped.');
+      const report = { file: plan.file, hash: plan.hash, previousHash: plan.previousHash, unchanged: true };
+      await this.storeImportSummary(report);
+      return report;
+    }
+
+    return this.applyEtsPlan(plan, { force: options.force });
+  }
+
+  /**
+   * Parse the configured ETS project and compare it with the existing objects, without writing anything.
+   *
+   * @param {{skipUnchanged?: boolean}} [options] return `unchanged: true` early if the hash matches `info.etsHash`
+   * @returns {Promise<{file:string, hash:string, previousHash?:string, unchanged?:boolean, style?:string, filtered?:number, entries:Array<any>, diff?:ReturnType<typeof diffEtsEntries>, orphanedIds?:Set<string>}>}
+   */
+  async planEtsImport(options = {}) {
     const fileName = String(this.config.etsProjectFile || '').trim();
     if (!fileName) throw new Error('No ETS project file configured');
 
-    this.log.info(`Importing ETS project from ioBroker Files: ${this.namespace}.files/${fileName}`);
+    this.log.info(`Reading ETS project from ioBroker Files: ${this.namespace}.files/${fileName}`);
 
-    const { hash, style, entries } = await importEtsProject(this, fileName, {
-      gaStyleOverride: this.config.gaStyleOverride || 'auto'
+    const prevHashState = await this.getStateAsync('info.etsHash');
+    const previousHash = prevHashState?.val ? String(prevHashState.val) : undefined;
+
+    const settings = {
+      gaStyleOverride: this.config.gaStyleOverride || 'auto',
+      linkStatusGas: Boolean(this.config.linkStatusGas),
+      layout: this.config.objectLayout || 'groupRanges',
+      idSchema: this.config.idSchema || 'rangePath'
+    };
+    const filterConfig = {};
+    for (const key of IMPORT_FILTER_KEYS) filterConfig[key] = String(this.config[key] || '').trim();
+
+    const { hash, unchanged, style, entries, filtered } = await importEtsProject(this, fileName, {
+      ...settings,
+      filter: createImportFilter(filterConfig),
+      settingsKey: JSON.stringify({ ...settings, ...filterConfig }),
+      password: this.config.etsProjectPassword || undefined,
+      skipIfHash: options.skipUnchanged ? previousHash : undefined
     });
 
-    await this.setStateAsync('info.etsHash', hash, true);
-    this.log.info(`ETS import OK. GA style: ${style}. Entries: ${entries.length}`);
+    if (unchanged) return { file: fileName, hash, previousHash, unchanged: true, entries: [] };
+
+    this.log.info(`ETS project parsed. GA style: ${style}. Entries: ${entries.length}${filtered ? ` (${filtered} filtered out)` : ''}`);
+
+    const existing = [];
+    const orphanedIds = new Set();
+    for (const [id, obj] of await this.loadGaObjects()) {
+      if (this.getGaSource(id, obj) !== 'ets') continue;
+      existing.push({ id, common: obj.common, native: obj.native });
+      if (obj.native?.orphaned) orphanedIds.add(id);
+    }
+
+    return {
+      file: fileName,
+      hash,
+      previousHash,
+      style,
+      filtered: filtered || 0,
+      entries,
+      diff: diffEtsEntries(existing, entries),
+      orphanedIds
+    };
+  }
+
+  /**
+   * Write an import plan (see `planEtsImport`).
+   *
+   * With `ids` only the selected entries (and selected ids of the `removed` list) are applied. A partial apply
+   * does not store `info.etsHash`, so the next regular import still picks up the rest.
+   *
+   * @param {Awaited<ReturnType<NexowattKnx['planEtsImport']>>} plan
+   * @param {{force?: boolean, ids?: string[]}} [options]
+   * @returns {Promise<Record<string, any>>} change report
+   */
+  async applyEtsPlan(plan, options = {}) {
+    const { diff, entries, orphanedIds } = plan;
+    const selection = Array.isArray(options.ids) ? new Set(options.ids.map(String)) : null;
+
+    this.aliasParents.clear();
+    const entryIds = new Set(entries.map((e) => e.id));
+
+    // GAs that moved to another id take object and value of the old id along. Read everything first,
+    // ids can be swapped between GAs.
+    const moves = new Map();
+    for (const m of diff.moved) {
+      if (selection && !selection.has(m.to)) continue;
+      moves.set(m.to, { ...m, obj: await this.getObjectAsync(m.from), state: await this.getStateAsync(m.from) });
+    }
 
-    // Create channels + states
+    let written = 0;
+    // Create channels + states (only what actually changed, unless forced)
     for (const entry of entries) {
-      await this.ensureChannelsForState(entry.id);
-      await this.upsertGaState(entry);
+      if (selection && !selection.has(entry.id)) continue;
+      if (!options.force && !diff.changedIds.has(entry.id) && !orphanedIds.has(entry.id)) continue;
+      await this.ensureChannelsForState(entry.id, entry.containers);
+
+      const move = moves.get(entry.id);
+      if (move?.obj && !(await this.getObjectAsync(entry.id))) {
+        // custom settings (history ...), hand-entered native settings and overrides
+        const { _id, ...obj } = move.obj;
+        await this.setObjectAsync(entry.id, obj);
+      }
+      await this.upsertGaState({ ...entry, source: 'ets' });
+      if (move?.state && move.state.val !== null && move.state.val !== undefined) {
+        await this.setStateAsync(entry.id, { val: move.state.val, ack: true, ts: move.state.ts, q: move.state.q || 0 });
+      }
+      written++;
+    }
+
+    // the old ids would stay bound to the same GA (duplicate bindings), whatever the orphan policy
+    let movedAway = 0;
+    for (const move of moves.values()) {
+      if (entryIds.has(move.from)) continue;
+      const obj = await this.getObjectAsync(move.from);
+      if (!obj || String(obj.native?.ga) !== move.ga) continue;
+      try {
+        await this.delObjectAsync(move.from);
+        movedAway++;
+      } catch (e) {
+        this.log.warn(`Failed to delete ${move.from} (moved to ${move.to}): ${e?.message || e}`);
+      }
+      await this.deleteAlias(move.from);
     }
+    if (movedAway) await this.deleteEmptyGaChannels();
+
+    await this.dropDiscoveredGas(new Set(entries.filter((e) => !selection || selection.has(e.id)).map((e) => e.ga)));
+
+    const orphans = await this.handleOrphans('ets', entryIds, selection || undefined);
+
+    if (!selection) await this.setStateAsync('info.etsHash', plan.hash, true);
+
+    // the diff's `unchanged` is a count, the report's `unchanged` means "import skipped"
+    const { changedIds, unchanged: unchangedEntries, ...lists } = diff;
+    const report = {
+      file: plan.file,
+      hash: plan.hash,
+      previousHash: plan.previousHash,
+      unchanged: false,
+      partial: Boolean(selection),
+      style: plan.style,
+      total: entries.length,
+      filtered: plan.filtered,
+      written,
+      unchangedEntries,
+      ...lists,
+      orphans
+    };
+
+    this.log.info(
+      `ETS objects updated: ${report.added.length} added, ${report.removed.length} removed, ${report.renamed.length} renamed, ` +
+      `${report.moved.length} moved, ${report.dptChanged.length} DPT changed, ${report.flagsChanged.length} flags changed` +
+      `${selection ? ` (${written} selected entries written)` : ''}.`
+    );
+    await this.storeImportSummary(report);
+    return report;
+  }
+
+  /**
+   * Dry run: entries of the configured ETS project with their state compared to the existing objects.
+   * @returns {Promise<Record<string, any>>}
+   */
+  async previewEtsImport() {
+    const plan = await this.planEtsImport();
+    const { diff } = plan;
+    const added = new Set(diff.added.map((a) => a.id));
+
+    const { changedIds, ...lists } = diff;
+    return {
+      file: plan.file,
+      hash: plan.hash,
+      previousHash: plan.previousHash,
+      style: plan.style,
+      total: plan.entries.length,
+      filtered: plan.filtered,
+      entries: plan.entries.map((e) => ({
+        id: e.id,
+        ga: e.ga,
+        name: e.name,
+        dpt: e.dpt,
+        flags: e.flags,
+        statusGa: e.statusGa,
+        status: added.has(e.id) ? 'new' : changedIds.has(e.id) || plan.orphanedIds.has(e.id) ? 'changed' : 'unchanged'
+      })),
+      ...lists
+    };
+  }
 
-    this.log.info('ETS objects created/updated.');
+  /**
+   * Write a compact summary of an import report to `info.lastImport`.
+   * @param {Record<string, any>} report
+   */
+  async storeImportSummary(report) {
+    const count = (list) => (Array.isArray(list) ? list.length : 0);
+    const summary = {
+      ts: Date.now(),
+      file: report.file,
+      hash: report.hash,
+      unchanged: Boolean(report.unchanged),
+      total: report.total,
+      filtered: report.filtered,
+      written: report.written,
+      added: count(report.added),
+      removed: count(report.removed),
+      renamed: count(report.renamed),
+      moved: count(report.moved),
+      dptChanged: count(report.dptChanged),
+      flagsChanged: count(report.flagsChanged),
+      statusLinked: count(report.statusLinked),
+      statusUnlinked: count(report.statusUnlinked),
+      orphans: count(report.orphans)
+    };
+    await this.setStateAsync('info.lastImport', JSON.stringify(summary), true);
   }
 
   /**
-   * Try to find the newest `.knxproj` in ioBroker file storage.
+   * Try to find the newest `.knxproj` (or group address export `.csv` / `.xml`) in ioBroker file storage.
    *
    * We intentionally avoid the jsonConfig `fileSelector` here, because some Admin versions
    * crash with it. This method supports a robust workflow:
@@ -224,6 +770,24 @@ class NexowattKnx extends utils.Adapter {
    * @returns {Promise<string|null>} Relative path inside `${this.namespace}.files` (e.g. `ets/project.knxproj`)
    */
   async detectLatestEtsFile() {
+    return this.detectLatestFile(ETS_FILE_EXTENSIONS);
+  }
+
+  /**
+   * Find the newest file with one of the given extensions in `files/` and `files/ets/`.
+   * @param {string[]} extensions lower-case extensions incl. dot
+   * @returns {Promise<string|null>}
+   */
+  async detectLatestFile(extensions) {
+    return (await this.findLatestFile(extensions))?.path || null;
+  }
+
+  /**
+   * Like `detectLatestFile`, but also returns the modification time (0 if the file system reports none).
+   * @param {string[]} extensions lower-case extensions incl. dot
+   * @returns {Promise<{path:string, t:number}|null>}
+   */
+  async findLatestFile(extensions) {
     const root = `${this.namespace}.files`;
 
     /** @type {{path:string, t:number}[]} */
@@ -250,7 +814,8 @@ class NexowattKnx extends utils.Adapter {
         const isDir = Boolean(entry.isDir || entry.isDirectory);
         if (isDir) continue;
 
-        if (!file.toLowerCase().endsWith('.knxproj')) continue;
+        const lower = file.toLowerCase();
+        if (!extensions.some((ext) => lower.endsWith(ext))) continue;
 
         const rel = dir ? `${dir}/${file}` : file;
 
@@ -264,23 +829,164 @@ class NexowattKnx extends utils.Adapter {
 
     if (!candidates.length) return null;
     candidates.sort((a, b) => (b.t || 0) - (a.t || 0));
-    return candidates[0].path;
+    return candidates[0];
+  }
+
+  /**
+   * Watch `files/` and `files/ets/` for new or changed ETS files (`autoImport`): polled every
+   * `autoImportInterval` seconds and, if the js-controller supports it, on file change events.
+   */
+  startEtsWatcher() {
+    if (!this.config.autoImport) return;
+
+    const intervalMs = Math.max(10, Number(this.config.autoImportInterval) || 60) * 1000;
+    this.etsWatchTimer = setInterval(() => this.checkEtsFile('interval'), intervalMs);
+
+    if (typeof this.subscribeForeignFiles === 'function') {
+      try {
+        this.subscribeForeignFiles(`${this.namespace}.files`, '*');
+      } catch (e) {
+        this.log.debug(`File change events not available: ${e?.message || e}`);
+      }
+    }
+    this.log.info(`Automatic ETS import active (every ${intervalMs / 1000}s)`);
+  }
+
+  /**
+   * @param {string} id meta object id
+   * @param {string} fileName
+   */
+  onFileChange(id, fileName) {
+    if (!this.config.autoImport || id !== `${this.namespace}.files`) return;
+    const lower = String(fileName || '').toLowerCase();
+    if (!ETS_FILE_EXTENSIONS.some((ext) => lower.endsWith(ext))) return;
+
+    // an upload may fire several events; check once it has settled
+    if (this.etsWatchDebounce) clearTimeout(this.etsWatchDebounce);
+    this.etsWatchDebounce = setTimeout(() => {
+      this.etsWatchDebounce = null;
+      this.checkEtsFile('file change');
+    }, 5000);
+  }
+
+  /**
+   * Import the newest ETS file if it is new or its content (hash) differs from `info.etsHash`,
+   * then rebind the datapoints without restarting the adapter.
+   * @param {string} reason for the log
+   */
+  async checkEtsFile(reason) {
+    if (this.etsWatchBusy || this.unloading) return;
+    this.etsWatchBusy = true;
+
+    try {
+      const latest = await this.findLatestFile(ETS_FILE_EXTENSIONS);
+      if (!latest) return;
+
+      // same file with the same timestamp as last time: skip reading and hashing it
+      const seen = this.etsWatchSeen;
+      if (latest.t && seen && seen.path === latest.path && seen.t === latest.t) return;
+      this.etsWatchSeen = latest;
+
+      if (latest.path !== String(this.config.etsProjectFile || '').trim()) {
+        this.log.info(`New ETS file detected: ${latest.path} (configured: ${this.config.etsProjectFile || 'none'})`);
+        // in memory only: writing the instance config would restart the adapter
+        this.config.etsProjectFile = latest.path;
+      }
+
+      const report = await this.doImportEtsProject();
+      if (report.unchanged) return;
+
+      this.log.info(`ETS project re-imported automatically (${reason}), rebinding datapoints.`);
+      await this.rebuildRuntimeMapping();
+      this.createDatapoints();
+    } catch (e) {
+      this.log.error(`Automatic ETS import failed: ${e?.message || e}`);
+    } finally {
+      this.etsWatchBusy = false;
+    }
+  }
+
+  /**
+   * Read and decrypt the configured ETS keyring (`.knxkeys`) from ioBroker file storage.
+   * Keys are kept in memory only.
+   * @returns {Promise<{project?:string, groupKeys:number, interfaces:number, devices:number}>}
+   */
+  async loadKeyring() {
+    let fileName = String(this.config.keyringFile || '').trim();
+    if (!fileName) throw new Error('No keyring file configured');
+
+    const root = `${this.namespace}.files`;
+    let file = null;
+    try {
+      file = (await this.readFileAsync(root, fileName))?.file;
+    } catch {
+      file = null;
+    }
+    if (!file && !fileName.includes('/')) {
+      try {
+        const alt = `ets/${fileName}`;
+        file = (await this.readFileAsync(root, alt))?.file;
+        if (file) fileName = alt;
+      } catch {
+        // ignore
+      }
+    }
+    if (!file) throw new Error(`Could not read keyring from ioBroker Files: ${root}/${fileName}`);
+
+    const keyring = parseKeyring(file, this.config.keyringPassword);
+
+    this.keyring = keyring;
+    this.securedGas = new Set(keyring.groupKeys.keys());
+
+    const summary = {
+      project: keyring.project,
+      groupKeys: keyring.groupKeys.size,
+      interfaces: keyring.interfaces.length,
+      devices: keyring.devices.size
+    };
+    this.log.info(
+      `Keyring loaded (${fileName}): ${summary.groupKeys} secured GAs, ${summary.interfaces} secure interfaces, ${summary.devices} devices.`
+    );
+    return summary;
+  }
+
+  /**
+   * Update `native.secured` of all existing GA objects according to the loaded keyring.
+   */
+  async markSecuredGaObjects() {
+    for (const [idRel, obj] of await this.loadGaObjects()) {
+      const secured = this.securedGas.has(String(obj.native.ga));
+      if (Boolean(obj.native.secured) === secured) continue;
+
+      await this.extendObjectAsync(idRel, { native: { secured } });
+    }
   }
 
   /**
    * Create missing channel objects for a state id like `ga.floor.room.1_2_3`.
    * @param {string} stateIdRel
+   * @param {Array<{id:string, type:string, common:Record<string, any>}>} [containers] folder/device/channel objects of the import layout
    */
-  async ensureChannelsForState(stateIdRel) {
+  async ensureChannelsForState(stateIdRel, containers) {
     const parts = String(stateIdRel).split('.');
     if (parts.length <= 1) return;
 
-    // all prefixes except last segment are channels
+    /** @type {Map<string, {type:string, common:Record<string, any>}>} */
+    const defined = new Map((containers || []).map((c) => [c.id, c]));
+
+    // all prefixes except last segment are channels, unless the import layout defines them
     let prefix = '';
     for (let i = 0; i < parts.length - 1; i++) {
       const seg = parts[i];
       prefix = prefix ? `${prefix}.${seg}` : seg;
 
+      const container = defined.get(prefix);
+      if (container) {
+        // extend: names and roles follow the ETS project on re-import
+        await this.extendObjectAsync(prefix, { type: container.type, common: container.common, native: {} });
+        continue;
+      }
+
       await this.setObjectNotExistsAsync(prefix, {
         type: 'channel',
         common: { name: seg },
@@ -289,34 +995,113 @@ class NexowattKnx extends utils.Adapter {
     }
   }
 
+  /**
+   * Text overview of all overridden fields (for the admin UI).
+   * @returns {Promise<string>}
+   */
+  async listOverrides() {
+    const fmt = (v) => (v === undefined ? '–' : typeof v === 'object' ? JSON.stringify(v) : String(v));
+    const lines = [];
+    for (const [idRel, obj] of await this.loadGaObjects()) {
+      for (const o of describeOverrides(obj)) {
+        lines.push(`${idRel} (${obj.native?.ga}): ${o.field} = ${fmt(o.value)} (import: ${fmt(o.imported)})`);
+      }
+    }
+    return lines.length ? lines.join('\n') : 'No overrides.';
+  }
+
+  /**
+   * Revert overrides of a GA state to the imported values.
+   * @param {string} idRel
+   * @param {string} [field] e.g. `name`, `dpt`, `flags.writeFlag`; all fields if omitted
+   * @returns {Promise<{id:string, reverted:string[]}>}
+   */
+  async revertOverride(idRel, field) {
+    const obj = idRel ? await this.getObjectAsync(idRel) : null;
+    if (!obj || obj.type !== 'state' || !obj.native?.ga) throw new Error(`Unknown GA state: ${idRel || '(none)'}`);
+    if (!obj.native.imported) throw new Error(`${idRel} has no imported values yet (re-import first)`);
+
+    const before = describeOverrides(obj).map((o) => o.field);
+    revertOverrides(obj, field);
+    await this.setObjectAsync(idRel, obj);
+
+    // derive type/role/write again from the imported DPT and flags
+    const imported = obj.native.imported;
+    await this.upsertGaState({
+      id: idRel,
+      name: imported.name,
+      ga: String(obj.native.ga),
+      dpt: imported.dpt,
+      flags: imported.flags,
+      description: obj.native.description,
+      roleHint: imported.roleHint,
+      source: obj.native.source
+    });
+
+    const after = new Set(describeOverrides((await this.getObjectAsync(idRel)) || obj).map((o) => o.field));
+    return { id: idRel, reverted: before.filter((f) => !after.has(f)) };
+  }
+
   /**
    * Create or update a GA state.
-   * @param {{id:string, name:string, ga:string, dpt?:string, flags:{readFlag:boolean, writeFlag:boolean, transmitFlag:boolean, updateFlag:boolean}, description?:string}} entry
+   * @param {{id:string, name:string, ga:string, dpt?:string, flags:{readFlag:boolean, writeFlag:boolean, transmitFlag:boolean, updateFlag:boolean}, description?:string, statusGa?:string|null, pollInterval?:number, respondToRead?:boolean, roleHint?:string, source?:'ets'|'manual'}} entry
    */
   async upsertGaState(entry) {
-    const commonBase = inferCommonFromDpt(entry.dpt);
+    // Hand edits since the last import become overrides
+    const existing = await this.getObjectAsync(entry.id);
+    const overrides = collectOverrides(existing);
+
+    const importedFlags = {
+      readFlag: Boolean(entry.flags?.readFlag),
+      writeFlag: Boolean(entry.flags?.writeFlag),
+      transmitFlag: Boolean(entry.flags?.transmitFlag),
+      updateFlag: Boolean(entry.flags?.updateFlag)
+    };
+    const flags = { ...importedFlags, ...(overrides.flags || {}) };
+    const dpt = overrides.dpt !== undefined ? overrides.dpt : entry.dpt;
 
-    const writeAllowed = Boolean(entry.flags?.writeFlag || entry.flags?.readFlag);
+    // Transmit-only COs (sensors) are not writable from ioBroker; read-only COs remain writable as read trigger
+    const writeAllowed = Boolean(flags.writeFlag || (flags.readFlag && !flags.transmitFlag));
+
+    const roleName = entry.roleHint ? `${entry.roleHint} ${entry.name}` : entry.name;
+    // a transform configured on the object changes the value range and unit
+    const transform = existing ? this.parseDatapointTransform(entry.id, existing, dpt) : undefined;
+    const commonBase = transformCommon(inferCommonFromDpt(dpt, { writable: writeAllowed, name: roleName }), transform);
 
     const common = {
       name: entry.name,
-      type: commonBase.type,
-      role: commonBase.role,
+      ...commonBase,
       read: true,
       write: writeAllowed
     };
+    // what ETS alone yields, so a DPT or flag override is not mistaken for a role/unit override later
+    const importedWritable = Boolean(importedFlags.writeFlag || (importedFlags.readFlag && !importedFlags.transmitFlag));
+    const importedBase = inferCommonFromDpt(entry.dpt, { writable: importedWritable, name: roleName });
+    const imported = { name: entry.name, role: importedBase.role, unit: importedBase.unit ?? null, dpt: entry.dpt, flags: importedFlags, roleHint: entry.roleHint };
+    if (entry.statusGa !== undefined) imported.statusGa = entry.statusGa;
+    for (const field of ['name', 'role', 'unit']) {
+      if (overrides[field] !== undefined) common[field] = overrides[field];
+    }
 
     const native = {
       ga: entry.ga,
-      dpt: entry.dpt,
-      flags: {
-        readFlag: Boolean(entry.flags?.readFlag),
-        writeFlag: Boolean(entry.flags?.writeFlag),
-        transmitFlag: Boolean(entry.flags?.transmitFlag),
-        updateFlag: Boolean(entry.flags?.updateFlag)
-      },
-      description: entry.description
+      dpt,
+      flags,
+      description: entry.description,
+      secured: this.securedGas.has(entry.ga),
+      source: entry.source || 'ets',
+      orphaned: false,
+      imported,
+      // derived from the effective DPT and flags; a different role/unit on the object is a hand edit
+      generated: { role: commonBase.role, unit: commonBase.unit ?? null },
+      overrides
     };
+    // Only set when the source knows it (`null` = no link in the project); a status GA entered
+    // on the object is an override and survives re-imports
+    if (overrides.statusGa !== undefined) native.statusGa = overrides.statusGa;
+    else if (entry.statusGa !== undefined) native.statusGa = entry.statusGa;
+    if (entry.pollInterval !== undefined) native.pollInterval = entry.pollInterval;
+    if (entry.respondToRead !== undefined) native.respondToRead = entry.respondToRead;
 
     await this.setObjectNotExistsAsync(entry.id, {
       type: 'state',
@@ -324,19 +1109,81 @@ class NexowattKnx extends utils.Adapter {
       native
     });
 
+    // extendObject merges deeply: remove what the (new) DPT does not define and replace a changed states map
+    if (existing) {
+      for (const key of ['unit', 'min', 'max', 'states']) {
+        if (common[key] === undefined && existing.common?.[key] !== undefined) common[key] = null;
+      }
+      if (common.states && existing.common?.states && JSON.stringify(common.states) !== JSON.stringify(existing.common.states)) {
+        await this.extendObjectAsync(entry.id, { common: { states: null } });
+      }
+    }
+
     // Keep existing states but update metadata (name/dpt/flags) on import
     await this.extendObjectAsync(entry.id, {
       common,
       native
     });
-  }
 
-  /**
+    if (this.config.createAliases) {
+      try {
+        await this.upsertAlias(entry.id, common);
+      } catch (e) {
+        this.log.warn(`Failed to create alias for ${entry.id}: ${e?.message || e}`);
+      }
+    }
+  }
+
+  /**
+   * Alias id mirroring a GA object, e.g. `ga.light.1_2_3` -> `alias.0.knx.light.1_2_3`.
+   * @param {string} idRel
+   * @returns {string}
+   */
+  getAliasId(idRel) {
+    let root = String(this.config.aliasRoot || '').trim().replace(/\.+$/, '');
+    if (!/^alias\.\d+\.[^.]/.test(root)) root = 'alias.0.knx';
+    return idRel === 'ga' ? root : `${root}.${idRel.replace(/^ga\./, '')}`;
+  }
+
+  /**
+   * Create or update the `alias.*` state of a GA state, incl. its folders/devices/channels.
+   * @param {string} idRel
+   * @param {Record<string, any>} common common of the GA state
+   */
+  async upsertAlias(idRel, common) {
+    const parts = idRel.split('.');
+    for (let i = 1; i < parts.length; i++) {
+      const prefix = parts.slice(0, i).join('.');
+      const aliasPrefix = this.getAliasId(prefix);
+      if (this.aliasParents.has(aliasPrefix)) continue;
+
+      const obj = i === 1 ? null : await this.getObjectAsync(prefix);
+      const parentCommon = { name: obj?.common?.name || (i === 1 ? 'KNX' : parts[i - 1]) };
+      if (obj?.common?.role) parentCommon.role = obj.common.role;
+      await this.extendForeignObjectAsync(aliasPrefix, {
+        type: obj && obj.type !== 'state' ? obj.type : i === 1 ? 'folder' : 'channel',
+        common: parentCommon,
+        native: {}
+      });
+      this.aliasParents.add(aliasPrefix);
+    }
+
+    await this.extendForeignObjectAsync(this.getAliasId(idRel), {
+      type: 'state',
+      common: { ...common, alias: { id: `${this.namespace}.${idRel}` } },
+      native: {}
+    });
+  }
+
+  /**
    * Create states from `native.manualDatapoints`.
    */
   async applyManualDatapoints() {
     const list = Array.isArray(this.config.manualDatapoints) ? this.config.manualDatapoints : [];
-    if (!list.length) return;
+    if (!list.length) {
+      await this.handleOrphans('manual', new Set());
+      return;
+    }
 
     await this.setObjectNotExistsAsync('ga', {
       type: 'channel',
@@ -349,117 +1196,617 @@ class NexowattKnx extends utils.Adapter {
       native: {}
     });
 
+    const entries = [];
     for (const dp of list) {
       const ga = String(dp.ga || '').trim();
       if (!ga) continue;
 
-      const gaSeg = sanitizeIdSegment(ga.replace(/\//g, '_'));
-      const id = `ga._manual.${gaSeg}`;
+      const name = String(dp.name || ga);
+      const leaf = this.config.idSchema === 'name' ? name : ga.replace(/\//g, '_');
 
-      const flags = {
-        readFlag: Boolean(dp.readFlag),
-        writeFlag: Boolean(dp.writeFlag),
-        transmitFlag: dp.transmitFlag === undefined ? true : Boolean(dp.transmitFlag),
-        updateFlag: false
-      };
-
-      await this.upsertGaState({
-        id,
-        name: String(dp.name || ga),
+      entries.push({
+        id: `ga._manual.${sanitizeIdSegment(leaf)}`,
+        name,
         ga,
         dpt: dp.dpt ? String(dp.dpt).trim() : undefined,
-        flags
+        flags: {
+          readFlag: Boolean(dp.readFlag),
+          writeFlag: Boolean(dp.writeFlag),
+          transmitFlag: dp.transmitFlag === undefined ? true : Boolean(dp.transmitFlag),
+          updateFlag: false
+        },
+        statusGa: String(dp.statusGa || '').trim(),
+        pollInterval: Math.max(0, Number(dp.pollInterval) || 0),
+        respondToRead: Boolean(dp.respondToRead),
+        source: 'manual'
       });
     }
+    resolveIdCollisions(entries);
+
+    this.aliasParents.clear();
+    const validIds = new Set();
+    for (const entry of entries) {
+      await this.upsertGaState(entry);
+      validIds.add(entry.id);
+    }
+
+    await this.dropDiscoveredGas(new Set(entries.map((e) => e.ga)));
+    await this.handleOrphans('manual', validIds);
   }
 
   /**
-   * Scan existing states under this adapter instance and build runtime mapping.
+   * Delete GA objects under `ga._discovered` for GAs that are now defined by the ETS project or the
+   * manual datapoints, so the GA is not bound twice.
+   * @param {Set<string>} gas
    */
-  async rebuildRuntimeMapping() {
-    this.metaByStateId.clear();
+  async dropDiscoveredGas(gas) {
+    let dropped = 0;
+    for (const [idRel, obj] of await this.loadGaObjects()) {
+      if (this.getGaSource(idRel, obj) !== 'discovered' || !gas.has(String(obj.native.ga))) continue;
+      try {
+        await this.delObjectAsync(idRel);
+        dropped++;
+      } catch (e) {
+        this.log.warn(`Failed to delete discovered datapoint ${idRel}: ${e?.message || e}`);
+      }
+      await this.deleteAlias(idRel);
+    }
+    if (!dropped) return;
+
+    this.log.info(`${dropped} discovered datapoint(s) replaced by imported ones`);
+    await this.deleteEmptyGaChannels();
+  }
+
+  /**
+   * Apply `orphanPolicy` to GA objects of the given source that are no longer defined
+   * (removed from the ETS project or from the manual datapoint table).
+   *
+   * - `keep`: leave the object untouched (default, previous behaviour)
+   * - `mark`: set `native.orphaned = true`; the object is no longer bound to the bus
+   * - `delete`: delete the object and channels that become empty
+   *
+   * @param {'ets'|'manual'} source
+   * @param {Set<string>} validIds ids that are still defined
+   * @param {Set<string>} [onlyIds] restrict to these ids (selective apply)
+   * @returns {Promise<Array<{id:string, ga:string, action:string}>>}
+   */
+  async handleOrphans(source, validIds, onlyIds) {
+    const policy = this.config.orphanPolicy || 'keep';
+
+    const orphans = [];
+    for (const [idRel, obj] of await this.loadGaObjects()) {
+      if (this.getGaSource(idRel, obj) !== source) continue;
+      if (validIds.has(idRel)) continue;
+      if (onlyIds && !onlyIds.has(idRel)) continue;
+      orphans.push({ id: idRel, ga: String(obj.native.ga), action: policy, orphaned: Boolean(obj.native.orphaned) });
+    }
+
+    if (!orphans.length) return [];
+
+    if (policy === 'mark') {
+      for (const o of orphans) {
+        if (o.orphaned) continue;
+        await this.extendObjectAsync(o.id, { native: { orphaned: true } });
+      }
+    } else if (policy === 'delete') {
+      for (const o of orphans) {
+        try {
+          await this.delObjectAsync(o.id);
+        } catch (e) {
+          this.log.warn(`Failed to delete orphaned datapoint ${o.id}: ${e?.message || e}`);
+        }
+        await this.deleteAlias(o.id);
+      }
+      await this.deleteEmptyGaChannels();
+    }
+
+    this.log.info(`${orphans.length} orphaned ${source} datapoint(s), policy: ${policy}`);
+    return orphans.map(({ id, ga, action }) => ({ id, ga, action }));
+  }
+
+  /**
+   * Delete the alias of a GA object (if aliases are enabled and it points to us).
+   * @param {string} idRel
+   */
+  async deleteAlias(idRel) {
+    if (!this.config.createAliases) return;
+    const aliasId = this.getAliasId(idRel);
+    try {
+      const obj = await this.getForeignObjectAsync(aliasId);
+      if (!obj) return;
+      const target = obj.common?.alias?.id;
+      if (obj.type === 'state' && target !== `${this.namespace}.${idRel}`) return;
+      await this.delForeignObjectAsync(aliasId);
+    } catch (e) {
+      this.log.debug(`Failed to delete alias ${aliasId}: ${e?.message || e}`);
+    }
+  }
+
+  /**
+   * Delete channels (and folders/devices of the import layout) below `ga` that no longer contain any GA state.
+   */
+  async deleteEmptyGaChannels() {
+    const used = new Set();
+    for (const idRel of (await this.loadGaObjects()).keys()) {
+      const parts = idRel.split('.');
+      for (let i = 1; i < parts.length; i++) used.add(parts.slice(0, i).join('.'));
+    }
+
+    const ids = [];
+    for (const type of ['channel', 'device', 'folder']) {
+      const res = await this.getObjectViewAsync('system', type, {
+        startkey: `${this.namespace}.ga.`,
+        endkey: `${this.namespace}.ga.\u9999`
+      });
+      for (const row of res?.rows || []) ids.push(row.id.slice(this.namespace.length + 1));
+    }
 
-    const startkey = `${this.namespace}.ga.`;
-    const endkey = `${this.namespace}.ga.\u9999`;
+    // deepest first
+    ids.sort((a, b) => b.split('.').length - a.split('.').length);
 
+    for (const idRel of ids) {
+      if (used.has(idRel)) continue;
+      try {
+        await this.delObjectAsync(idRel);
+      } catch (e) {
+        this.log.debug(`Failed to delete empty channel ${idRel}: ${e?.message || e}`);
+      }
+      await this.deleteAlias(idRel);
+    }
+  }
+
+  /**
+   * Load all GA state objects of this instance.
+   * @returns {Promise<Map<string, ioBroker.Object>>} relative id -> object
+   */
+  async loadGaObjects() {
     const res = await this.getObjectViewAsync('system', 'state', {
-      startkey,
-      endkey,
+      startkey: `${this.namespace}.ga.`,
+      endkey: `${this.namespace}.ga.\u9999`,
       include_docs: true
     });
 
-    const rows = res?.rows || [];
-
-    for (const row of rows) {
+    /** @type {Map<string, ioBroker.Object>} */
+    const out = new Map();
+    for (const row of res?.rows || []) {
       const obj = row?.doc;
       if (!obj || obj.type !== 'state') continue;
-
-      const native = obj.native || {};
-      const ga = native.ga;
-      if (!ga) continue;
+      if (!obj.native?.ga) continue;
 
       const idFull = row.id;
       const idRel = idFull.startsWith(`${this.namespace}.`) ? idFull.slice(this.namespace.length + 1) : idFull;
+      out.set(idRel, obj);
+    }
+    return out;
+  }
 
-      const flags = native.flags || {};
+  /**
+   * Where a GA object comes from. Objects created before `native.source` existed are
+   * classified by their id.
+   * @param {string} idRel
+   * @param {ioBroker.Object} obj
+   * @returns {'ets'|'manual'|'discovered'}
+   */
+  getGaSource(idRel, obj) {
+    const source = obj?.native?.source;
+    if (source === 'ets' || source === 'manual' || source === 'discovered') return source;
+    if (idRel.startsWith('ga._discovered.')) return 'discovered';
+    return idRel.startsWith('ga._manual.') ? 'manual' : 'ets';
+  }
 
-      this.metaByStateId.set(idRel, {
-        ga: String(ga),
-        dpt: native.dpt ? String(native.dpt) : undefined,
-        flags: {
-          readFlag: Boolean(flags.readFlag),
-          writeFlag: Boolean(flags.writeFlag),
-          transmitFlag: flags.transmitFlag === undefined ? true : Boolean(flags.transmitFlag),
-          updateFlag: Boolean(flags.updateFlag)
-        }
-      });
+  /**
+   * Scan existing states under this adapter instance and build runtime mapping.
+   */
+  async rebuildRuntimeMapping() {
+    this.metaByStateId.clear();
+    this.stateIdsByGa.clear();
+    this.unboundGas.clear();
+
+    for (const [idRel, obj] of await this.loadGaObjects()) {
+      const meta = this.buildMeta(idRel, obj);
+      if (!meta) {
+        if (obj.native?.orphaned) this.unboundGas.add(String(obj.native.ga));
+        continue;
+      }
+      this.metaByStateId.set(idRel, meta);
+      this.addGaIndex(meta.ga, idRel);
+      if (meta.statusGa) this.addGaIndex(meta.statusGa, idRel);
     }
 
     this.log.info(`Runtime mapping loaded: ${this.metaByStateId.size} datapoints.`);
+    this.rebuildPollSchedule();
+  }
+
+  /**
+   * Runtime mapping of one GA object.
+   * @param {string} idRel
+   * @param {ioBroker.Object} obj
+   * @returns {{ga:string, dpt?:string, secured?:boolean, statusGa?:string, pollIntervalMs?:number, respondToRead?:boolean, inbound?:{minIntervalMs:number, deadband:number, deadbandPercent:boolean, onlyOnChange:boolean}, transform?:import('./lib/value-transform').ValueTransform, flags:{readFlag:boolean, writeFlag:boolean, transmitFlag:boolean, updateFlag:boolean}}|undefined} undefined for orphaned objects and states without GA
+   */
+  buildMeta(idRel, obj) {
+    const native = obj.native || {};
+    if (native.orphaned || !native.ga) return undefined;
+    // overrides entered directly in native.overrides apply without a re-import
+    const overrides = native.overrides && typeof native.overrides === 'object' ? native.overrides : {};
+    const flags = { ...(native.flags || {}), ...(overrides.flags || {}) };
+    const dpt = overrides.dpt !== undefined ? overrides.dpt : native.dpt;
+
+    return {
+      ga: String(native.ga),
+      dpt: dpt ? String(dpt) : undefined,
+      secured: Boolean(native.secured),
+      statusGa: native.statusGa ? String(native.statusGa).trim() : undefined,
+      pollIntervalMs: Number(native.pollInterval) > 0 ? Number(native.pollInterval) * 1000 : undefined,
+      respondToRead: Boolean(native.respondToRead),
+      inbound: parseInboundFilter(native.inbound, obj.common?.custom?.[this.namespace]),
+      transform: this.parseDatapointTransform(idRel, obj, dpt),
+      flags: {
+        readFlag: Boolean(flags.readFlag),
+        writeFlag: Boolean(flags.writeFlag),
+        transmitFlag: flags.transmitFlag === undefined ? true : Boolean(flags.transmitFlag),
+        updateFlag: Boolean(flags.updateFlag)
+      }
+    };
+  }
+
+  /**
+   * Value transform from `native.transform` / `custom` settings; invalid settings are logged and ignored.
+   * @param {string} idRel
+   * @param {ioBroker.Object} obj
+   * @param {string} [dpt] effective DPT (incl. override), its range is mirrored by `invert`
+   * @returns {import('./lib/value-transform').ValueTransform|undefined}
+   */
+  parseDatapointTransform(idRel, obj, dpt) {
+    try {
+      return parseTransform(obj.native?.transform, obj.common?.custom?.[this.namespace], dpt);
+    } catch (e) {
+      this.log.warn(`${idRel}: ${e?.message || e}`);
+      return undefined;
+    }
+  }
+
+  /**
+   * Schedule cyclic reads for datapoints with `native.pollInterval` (seconds).
+   * New entries start at a random offset within their interval, so reads are spread over time.
+   */
+  rebuildPollSchedule() {
+    const now = Date.now();
+    const schedule = new Map();
+
+    for (const [idRel, meta] of this.metaByStateId) {
+      if (!meta.pollIntervalMs) continue;
+      schedule.set(idRel, this.pollSchedule.get(idRel) ?? now + Math.round(Math.random() * meta.pollIntervalMs));
+    }
+    this.pollSchedule = schedule;
+
+    if (schedule.size && !this.pollTimer) {
+      this.pollTimer = setInterval(() => this.onPollTick(), 1000);
+    } else if (!schedule.size && this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    if (schedule.size) this.log.info(`Polling ${schedule.size} datapoint(s) cyclically.`);
+  }
+
+  onPollTick() {
+    if (!this.knxConnected) return;
+
+    const now = Date.now();
+    // Bounded per tick; overdue entries (e.g. after a reconnect) follow in the next ticks
+    let budget = 5;
+
+    for (const [idRel, due] of this.pollSchedule) {
+      if (due > now) continue;
+      const meta = this.metaByStateId.get(idRel);
+      if (!meta?.pollIntervalMs) continue;
+
+      this.enqueueRead(idRel, meta, 'poll', TX_PRIO_READ);
+      this.pollSchedule.set(idRel, Math.max(due + meta.pollIntervalMs, now + 1000));
+
+      if (--budget <= 0) break;
+    }
+  }
+
+  /**
+   * A value was received for the GA, so the next poll can wait a full interval.
+   * @param {string} ga
+   */
+  postponePolls(ga) {
+    const now = Date.now();
+    for (const idRel of this.stateIdsByGa.get(ga) || []) {
+      const meta = this.metaByStateId.get(idRel);
+      if (meta?.pollIntervalMs && this.pollSchedule.has(idRel)) {
+        this.pollSchedule.set(idRel, now + meta.pollIntervalMs);
+      }
+    }
+  }
+
+  /**
+   * Queue a GroupValueRead for a mapped state. Combined actuators are read on their status GA,
+   * the command GA usually has no read flag.
+   * @param {string} idRel
+   * @param {{ga:string, statusGa?:string, secured?:boolean}} meta
+   * @param {string} descr e.g. `poll`
+   * @param {number} priority
+   */
+  enqueueRead(idRel, meta, descr, priority) {
+    // secure devices ignore plain GroupValueReads
+    if (meta.secured) return;
+    const ga = meta.statusGa || meta.ga;
+    this.enqueueKnx(() => (this.feedbackDatapointsByStateId.get(idRel) || this.datapointsByStateId.get(idRel))?.read(), `${descr} ${ga}`, {
+      priority,
+      key: `read:${ga}`
+    });
+  }
+
+  /**
+   * @param {string} ga
+   * @param {string} idRel
+   */
+  addGaIndex(ga, idRel) {
+    const ids = this.stateIdsByGa.get(ga);
+    if (ids) {
+      if (!ids.includes(idRel)) ids.push(idRel);
+    } else {
+      this.stateIdsByGa.set(ga, [idRel]);
+    }
   }
 
   // -------------------------
   // KNX connection + datapoints
   // -------------------------
 
+  /**
+   * Build the ordered gateway list: configured primary gateway, then `fallbackGateways`.
+   * In routing mode the list only contains the configured multicast group.
+   * @returns {Array<{ip:string, port:number}>}
+   */
+  buildGatewayList() {
+    if (this.isRoutingMode()) {
+      const group = String(this.config.multicastGroup || '').trim() || '224.0.23.12';
+      // knx.js binds the routing socket to 3671 whatever is configured
+      const port = Number(this.config.multicastPort);
+      if (port && port !== KNX_ROUTING_PORT && !this.multicastPortWarned) {
+        this.multicastPortWarned = true;
+        this.log.warn(`Multicast port ${port} is not supported, routing always uses UDP port ${KNX_ROUTING_PORT}.`);
+      }
+      return [{ ip: group, port: KNX_ROUTING_PORT }];
+    }
+
+    const list = [];
+    const seen = new Set();
+
+    const add = (ip, port) => {
+      const ipAddr = String(ip || '').trim();
+      if (!ipAddr) return;
+      const ipPort = Number(port) || 3671;
+      const key = `${ipAddr}:${ipPort}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      list.push({ ip: ipAddr, port: ipPort });
+    };
+
+    add(this.config.gatewayIp, this.config.gatewayPort);
+
+    const fallbacks = Array.isArray(this.config.fallbackGateways) ? this.config.fallbackGateways : [];
+    for (const gw of fallbacks) {
+      if (!gw) continue;
+      add(gw.ip, gw.port);
+    }
+
+    return list;
+  }
+
+  /**
+   * @returns {boolean} true if KNXnet/IP routing (multicast) is configured
+   */
+  isRoutingMode() {
+    return this.config.connectionMode === 'routing';
+  }
+
   connectKnx() {
-    const ipAddr = String(this.config.gatewayIp || '').trim();
-    const ipPort = Number(this.config.gatewayPort || 3671);
+    if (this.unloading) return;
 
-    if (!ipAddr) {
+    if (!this.gateways.length) {
+      this.gateways = this.buildGatewayList();
+    }
+
+    if (!this.gateways.length) {
       this.log.error('No KNX/IP gateway IP configured.');
       return;
     }
 
+    const gw = this.gateways[this.gatewayIndex % this.gateways.length];
+    const ipAddr = gw.ip;
+    const ipPort = gw.port;
+    const routing = this.isRoutingMode();
+
+    // Handlers are bound to this connection instance only, so late events from a torn-down
+    // connection cannot disturb the supervisor.
+    let conn = null;
+    const isCurrent = () => conn !== null && conn === this.knxConnection;
+
     const conf = {
       ipAddr,
       ipPort,
       physAddr: String(this.config.physAddr || '').trim() || undefined,
       interface: String(this.config.localInterface || '').trim() || undefined,
       loglevel: String(this.config.loglevel || 'info'),
-      forceTunneling: Boolean(this.config.forceTunneling),
-      localEchoInTunneling: Boolean(this.config.localEcho),
+      // knx.js selects routing when `ipAddr` is a multicast address and tunneling is not forced
+      forceTunneling: routing ? false : Boolean(this.config.forceTunneling),
+      localEchoInTunneling: routing ? false : Boolean(this.config.localEcho),
       minimumDelay: Number(this.config.minimumDelayMs || 0) || undefined,
+      manualConnect: true,
       handlers: {
-        connected: () => this.onKnxConnected(),
-        disconnected: () => this.onKnxDisconnected(),
-        error: (err) => this.onKnxError(err)
+        connected: () => isCurrent() && this.onKnxConnected(),
+        disconnected: () => isCurrent() && this.onKnxDisconnected(),
+        error: (err) => isCurrent() && this.onKnxError(err)
       }
     };
 
-    this.log.info(`Connecting to KNX/IP ${ipAddr}:${ipPort} ...`);
+    if (this.keyring && !this.secureWarned) {
+      this.secureWarned = true;
+      if (this.keyring.interfaces.length || this.keyring.backbone) {
+        this.log.warn(
+          'Keyring contains KNX IP Secure interfaces/backbone, but the knx.js transport only supports plain KNXnet/IP. ' +
+          'Use a non-secure tunnel or routing connection.'
+        );
+      }
+    }
+
+    this.log.info(`Connecting to KNX/IP ${ipAddr}:${ipPort} (${routing ? 'routing' : 'tunneling'}) ...`);
+    this.setState('info.currentGateway', `${ipAddr}:${ipPort}`, true);
 
     try {
-      this.knxConnection = new knx.Connection(conf);
+      conn = new knx.Connection(conf);
+      this.knxConnection = conn;
+      conn.on('event', (evt, src, dest, data) => isCurrent() && this.onKnxBusEvent(evt, src, dest, data));
+      // L_Data.con (tunneling only): the gateway put our telegram on the bus
+      conn.on('confirmed', (datagram) => isCurrent() && this.onKnxWriteConfirmed(String(datagram?.cemi?.dest_addr || '')));
+      conn.on('tunnelreqfailed', (datagram) => isCurrent() && this.onKnxWriteFailed(String(datagram?.cemi?.dest_addr || ''), 'no TUNNELING_ACK from gateway'));
+      conn.Connect();
+      if (routing) this.attachRoutingFlowControl(conn);
     } catch (e) {
       this.log.error(`KNX connection init failed: ${e?.message || e}`);
-      this.knxConnection = null;
+      this.destroyKnxConnection().then(() => this.scheduleReconnect(true));
+      return;
+    }
+
+    // knx.js retries forever on its own; give up on this gateway after a while and let the
+    // supervisor decide (backoff + next gateway).
+    const timeoutMs = Math.max(1000, Number(this.config.connectTimeoutMs) || 15000);
+    if (this.connectWatchdog) clearTimeout(this.connectWatchdog);
+    this.connectWatchdog = setTimeout(() => {
+      this.connectWatchdog = null;
+      if (this.knxConnected || !isCurrent()) return;
+      this.log.warn(`KNX/IP ${ipAddr}:${ipPort} did not connect within ${timeoutMs} ms.`);
+      this.destroyKnxConnection().then(() => this.scheduleReconnect(true));
+    }, timeoutMs);
+  }
+
+  /**
+   * Tear down the current knx.js connection without triggering our own handlers.
+   * Resolves once knx.js has disconnected (tunnel closed with DISCONNECT_REQUEST or timed out).
+   * @returns {Promise<void>}
+   */
+  destroyKnxConnection() {
+    const conn = this.knxConnection;
+    this.knxConnection = null;
+    this.knxConnected = false;
+
+    if (!conn) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      let timer = null;
+      const done = () => {
+        if (!timer) return;
+        clearTimeout(timer);
+        timer = null;
+        this.disposeKnxConnection(conn);
+        resolve();
+      };
+      // knx.js gives up on the DISCONNECT_RESPONSE after 3 s itself; routing has nothing to close
+      timer = setTimeout(done, 4000);
+      if (!conn.useTunneling) {
+        done();
+        return;
+      }
+      try {
+        conn.Disconnect(done);
+      } catch {
+        done();
+      }
+    });
+  }
+
+  /**
+   * Stop everything a torn-down knx.js connection could still do on its own.
+   *
+   * Relies on internals of knx.js 2.5.4 (pinned in package.json, re-check on every update):
+   * - the machina.js FSM methods `off`, `transition` and `handle`, and `Connect` of the connection
+   * - the timers `connecttimer`, `idletimer`, `connstatetimer`, `tunnelingAckTimer`, `disconnecttimer` (FSM.js)
+   * - the UDP `socket`
+   * A missing internal is skipped and logged, so a changed knx.js degrades instead of throwing.
+   * @param {any} conn knx.Connection
+   */
+  disposeKnxConnection(conn) {
+    const missing = (name) => this.log.debug(`knx.js connection has no "${name}", not disposed (knx.js version changed?)`);
+
+    if (typeof conn.off === 'function') {
+      try {
+        conn.off();
+      } catch {
+        // ignore
+      }
+    } else {
+      missing('off');
+    }
+    // timers only exist once the FSM has used them
+    for (const timer of ['connecttimer', 'idletimer', 'connstatetimer', 'tunnelingAckTimer', 'disconnecttimer']) {
+      if (!conn[timer]) continue;
+      clearTimeout(conn[timer]);
+      clearInterval(conn[timer]);
+    }
+    // knx.js restarts its connect cycle from anonymous timers (`jumptoconnecting`, "no more connections"
+    // retry) that cannot be cleared; make the state machine ignore them instead
+    for (const method of ['transition', 'handle', 'Connect']) {
+      if (typeof conn[method] === 'function') conn[method] = () => {};
+      else missing(method);
+    }
+    if (conn.socket && typeof conn.socket.close === 'function') {
+      try {
+        conn.socket.close();
+      } catch {
+        // ignore
+      }
+    } else {
+      missing('socket');
+    }
+  }
+
+  /**
+   * Schedule the next connect attempt using exponential backoff with jitter.
+   * @param {boolean} nextGateway move on to the next gateway in the list
+   */
+  scheduleReconnect(nextGateway) {
+    if (this.unloading || this.reconnectTimer) return;
+
+    if (nextGateway && this.gateways.length > 1) {
+      this.gatewayIndex = (this.gatewayIndex + 1) % this.gateways.length;
     }
+
+    const minDelay = Math.max(100, Number(this.config.reconnectMinDelayMs) || 2000);
+    const maxDelay = Math.max(minDelay, Number(this.config.reconnectMaxDelayMs) || 60000);
+
+    // One full pass over all gateways counts as one backoff step.
+    const step = Math.floor(this.reconnectAttempts / Math.max(1, this.gateways.length));
+    const base = Math.min(maxDelay, minDelay * Math.pow(2, Math.min(step, 20)));
+    // "equal jitter": half fixed, half random
+    const delay = Math.round(base / 2 + Math.random() * (base / 2));
+
+    this.reconnectAttempts++;
+    this.setState('info.reconnectCount', this.reconnectAttempts, true);
+
+    const gw = this.gateways[this.gatewayIndex % this.gateways.length];
+    this.log.info(`KNX reconnect #${this.reconnectAttempts} to ${gw?.ip}:${gw?.port} in ${delay} ms`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connectKnx();
+    }, delay);
   }
 
   onKnxConnected() {
+    if (this.connectWatchdog) {
+      clearTimeout(this.connectWatchdog);
+      this.connectWatchdog = null;
+    }
+
     this.knxConnected = true;
+    this.reconnectAttempts = 0;
     this.setState('info.connection', true, true);
+    this.setState('info.reconnectCount', 0, true);
+    this.setState('info.lastConnected', Date.now(), true);
     this.log.info('KNX connected ✅');
 
     this.startTxQueue();
@@ -474,15 +1821,85 @@ class NexowattKnx extends utils.Adapter {
   }
 
   onKnxDisconnected() {
+    // knx.js also emits `disconnected` when it enters its connecting state (initial connect);
+    // only a drop of an established connection is handled here, the watchdog covers the rest.
+    if (!this.knxConnected) return;
+
     this.knxConnected = false;
     this.setState('info.connection', false, true);
     this.log.warn('KNX disconnected ❌');
+
+    if (this.config.txDropOnDisconnect) {
+      this.clearTxQueue('disconnected');
+    }
+
+    // Prefer the primary gateway again after a drop
+    this.gatewayIndex = 0;
+    this.destroyKnxConnection().then(() => this.scheduleReconnect(false));
   }
 
   onKnxError(err) {
     this.log.warn(`KNX error: ${err?.message || JSON.stringify(err)}`);
   }
 
+  /**
+   * knx.js does not handle ROUTING_BUSY / ROUTING_LOST_MESSAGE, so we inspect the raw
+   * multicast datagrams ourselves and throttle the TX queue accordingly.
+   * @param {any} conn knx.Connection
+   */
+  attachRoutingFlowControl(conn) {
+    const socket = conn?.socket;
+    if (!socket || typeof socket.on !== 'function') {
+      this.log.debug('Routing flow control not available (no socket).');
+      return;
+    }
+
+    socket.on('message', (msg) => {
+      if (conn !== this.knxConnection) return;
+      if (!Buffer.isBuffer(msg) || msg.length < 10) return;
+
+      const serviceType = msg.readUInt16BE(2);
+
+      if (serviceType === 0x0532) {
+        // ROUTING_BUSY: header(6) | len(1) | device state(1) | wait time ms(2) | control(2)
+        this.onRoutingBusy(msg.readUInt16BE(8));
+      } else if (serviceType === 0x0531) {
+        // ROUTING_LOST_MESSAGE: header(6) | len(1) | device state(1) | lost messages(2)
+        this.onRoutingLostMessage(msg.readUInt16BE(8));
+      }
+    });
+  }
+
+  /**
+   * @param {number} waitMs wait time requested by the router
+   */
+  onRoutingBusy(waitMs) {
+    const now = Date.now();
+    const wait = Math.max(20, Math.min(Number(waitMs) || 100, 1000));
+
+    // KNX spec: wait the announced time plus a random share to avoid synchronised senders
+    this.txPausedUntil = Math.max(this.txPausedUntil, now + wait + Math.round(Math.random() * 50));
+
+    // Repeated busy frames within a short period increase the permanent slow-down
+    const base = Math.max(10, Number(this.config.minimumDelayMs || 25));
+    this.txExtraDelayMs = now - this.lastBusyAt < 1000
+      ? Math.min(this.txExtraDelayMs ? this.txExtraDelayMs * 2 : base, 1000)
+      : Math.max(this.txExtraDelayMs, base);
+    this.lastBusyAt = now;
+
+    this.log.debug(`KNX ROUTING_BUSY: pausing TX for ${wait} ms, extra delay ${this.txExtraDelayMs} ms`);
+  }
+
+  /**
+   * @param {number} lost number of telegrams the router had to drop
+   */
+  onRoutingLostMessage(lost) {
+    const base = Math.max(10, Number(this.config.minimumDelayMs || 25));
+    this.txExtraDelayMs = Math.min(Math.max(this.txExtraDelayMs * 2, base), 1000);
+    this.lastBusyAt = Date.now();
+    this.log.warn(`KNX ROUTING_LOST_MESSAGE: router lost ${lost} telegram(s), slowing down TX (extra delay ${this.txExtraDelayMs} ms)`);
+  }
+
   startTxQueue() {
     if (this.txTimer) return;
 
@@ -490,8 +1907,20 @@ class NexowattKnx extends utils.Adapter {
 
     this.txTimer = setInterval(() => {
       if (!this.knxConnected) return;
-      const job = this.txQueue.shift();
+
+      const now = Date.now();
+      if (now < this.txPausedUntil) return;
+      if (this.txExtraDelayMs && now - this.lastTxAt < interval + this.txExtraDelayMs) return;
+
+      // Recover slowly once the router stopped complaining
+      if (this.txExtraDelayMs && now - this.lastBusyAt > 5000) {
+        this.txExtraDelayMs = this.txExtraDelayMs < 20 ? 0 : Math.floor(this.txExtraDelayMs / 2);
+        this.lastBusyAt = now;
+      }
+
+      const job = this.dequeueKnx(now);
       if (!job) return;
+      this.lastTxAt = now;
       try {
         job.fn();
       } catch (e) {
@@ -500,15 +1929,168 @@ class NexowattKnx extends utils.Adapter {
     }, interval);
   }
 
-  enqueueKnx(fn, descr) {
-    this.txQueue.push({ fn, descr: descr || 'tx' });
-  }
+  /**
+   * Queue a telegram.
+   *
+   * Jobs with the same `key` are coalesced: the queued job keeps its position, but runs the
+   * latest `fn` (e.g. only the last value of a dragged slider is written). Queued with a higher
+   * priority, it moves to the end of that queue (an explicit read trigger for a GA with a poll waiting).
+   *
+   * @param {() => void} fn sends the telegram; resolve datapoints inside, they are recreated on reconnect
+   * @param {string} descr
+   * @param {{priority?: number, key?: string}} [options]
+   */
+  enqueueKnx(fn, descr, options = {}) {
+    const now = Date.now();
+    const key = options.key;
+    const priority = options.priority === TX_PRIO_WRITE ? TX_PRIO_WRITE : TX_PRIO_READ;
+
+    const queued = key ? this.txJobsByKey.get(key) : undefined;
+    if (queued) {
+      queued.fn = fn;
+      queued.descr = descr || 'tx';
+      queued.ts = now;
+      if (priority < queued.priority) {
+        const queue = this.txQueue[queued.priority];
+        queue.splice(queue.indexOf(queued), 1);
+        queued.priority = priority;
+        this.txQueue[priority].push(queued);
+      }
+      return;
+    }
 
-  createDatapoints() {
-    if (!this.knxConnection) return;
+    const job = { fn, descr: descr || 'tx', key, priority, ts: now };
+
+    const maxLength = Math.max(1, Number(this.config.txQueueMaxLength) || 500);
+    if (this.getTxQueueLength() >= maxLength) {
+      this.pruneTxQueue(now);
+    }
+    if (this.getTxQueueLength() >= maxLength) {
+      // Reads are cheap to repeat, so they are sacrificed first
+      if (this.txQueue[TX_PRIO_READ].length) {
+        this.dropTxJob(TX_PRIO_READ, 0, 'queue full');
+      } else if (priority === TX_PRIO_READ || this.config.txOverflowPolicy === 'dropNewest') {
+        this.txDropped++;
+        this.log.debug(`KNX TX job dropped (queue full): ${job.descr}`);
+        this.scheduleTxStats();
+        return;
+      } else {
+        this.dropTxJob(TX_PRIO_WRITE, 0, 'queue full');
+      }
+    }
+
+    this.txQueue[priority].push(job);
+    if (key) this.txJobsByKey.set(key, job);
+    this.scheduleTxStats();
+  }
+
+  /**
+   * Next job to send: writes first, expired jobs are skipped.
+   * @param {number} now
+   * @returns {{fn: () => void, descr: string, key?: string, priority: number, ts: number}|undefined}
+   */
+  dequeueKnx(now) {
+    const ttl = Number(this.config.txJobTtlMs) || 0;
+    let job;
+
+    for (const queue of this.txQueue) {
+      while (!job && queue.length) {
+        const next = queue.shift();
+        if (next.key) this.txJobsByKey.delete(next.key);
+
+        if (ttl > 0 && now - next.ts > ttl) {
+          this.txDropped++;
+          this.log.debug(`KNX TX job expired after ${now - next.ts} ms: ${next.descr}`);
+          this.scheduleTxStats();
+          continue;
+        }
+        job = next;
+      }
+      if (job) break;
+    }
+
+    if (job) this.scheduleTxStats();
+    return job;
+  }
+
+  /**
+   * @param {number} priority
+   * @param {number} index
+   * @param {string} reason
+   */
+  dropTxJob(priority, index, reason) {
+    const [job] = this.txQueue[priority].splice(index, 1);
+    if (!job) return;
+    if (job.key) this.txJobsByKey.delete(job.key);
+    this.txDropped++;
+    this.log.debug(`KNX TX job dropped (${reason}): ${job.descr}`);
+  }
+
+  /**
+   * Drop all jobs older than the configured time-to-live.
+   * @param {number} now
+   */
+  pruneTxQueue(now) {
+    const ttl = Number(this.config.txJobTtlMs) || 0;
+    if (ttl <= 0) return;
+
+    for (let priority = 0; priority < this.txQueue.length; priority++) {
+      const queue = this.txQueue[priority];
+      for (let i = queue.length - 1; i >= 0; i--) {
+        if (now - queue[i].ts > ttl) this.dropTxJob(priority, i, 'expired');
+      }
+    }
+  }
+
+  /**
+   * @param {string} reason
+   */
+  clearTxQueue(reason) {
+    const count = this.getTxQueueLength();
+    if (!count) return;
+
+    this.txQueue = [[], []];
+    this.txJobsByKey.clear();
+    this.txDropped += count;
+    this.log.info(`KNX TX queue cleared (${reason}): ${count} job(s) dropped`);
+    this.scheduleTxStats();
+  }
+
+  /**
+   * @returns {number}
+   */
+  getTxQueueLength() {
+    return this.txQueue.reduce((sum, queue) => sum + queue.length, 0);
+  }
+
+  /**
+   * Publish queue statistics (at most once per second; while jobs are waiting the age keeps updating).
+   */
+  scheduleTxStats() {
+    if (this.txStatsTimer || this.unloading) return;
+
+    this.txStatsTimer = setTimeout(() => {
+      this.txStatsTimer = null;
+
+      const now = Date.now();
+      this.pruneTxQueue(now);
+
+      const length = this.getTxQueueLength();
+      const oldest = this.txQueue.reduce((min, queue) => queue.reduce((m, job) => Math.min(m, job.ts), min), now);
+
+      this.setState('info.txQueueLength', length, true);
+      this.setState('info.txDropped', this.txDropped, true);
+      this.setState('info.txOldestJobAge', now - oldest, true);
+
+      if (length) this.scheduleTxStats();
+    }, 1000);
+  }
+
+  createDatapoints() {
+    if (!this.knxConnection) return;
 
     // Cleanup old datapoints
-    for (const dp of this.datapointsByStateId.values()) {
+    for (const dp of [...this.datapointsByStateId.values(), ...this.feedbackDatapointsByStateId.values()]) {
       try {
         dp.removeAllListeners();
       } catch {
@@ -516,26 +2098,250 @@ class NexowattKnx extends utils.Adapter {
       }
     }
     this.datapointsByStateId.clear();
+    this.feedbackDatapointsByStateId.clear();
 
     for (const [stateIdRel, meta] of this.metaByStateId.entries()) {
-      try {
-        const dp = new knx.Datapoint({
-          ga: meta.ga,
-          dpt: meta.dpt,
+      this.bindDatapoint(stateIdRel, meta);
+    }
+
+    this.log.info(`KNX datapoints bound: ${this.datapointsByStateId.size}`);
+  }
+
+  /**
+   * Create the bus binding for one mapped state.
+   * @param {string} stateIdRel
+   * @param {{ga:string, dpt?:string}} meta
+   * @returns {any} datapoint or null
+   */
+  bindDatapoint(stateIdRel, meta) {
+    if (!this.knxConnection) return null;
+
+    const dp = this.createDatapoint(stateIdRel, meta.ga, meta.dpt);
+    if (!dp) return null;
+    this.datapointsByStateId.set(stateIdRel, dp);
+
+    // Combined actuator: the state is written to the command GA and updated from the status GA
+    if (meta.statusGa && meta.statusGa !== meta.ga) {
+      const feedback = this.createDatapoint(stateIdRel, meta.statusGa, meta.dpt);
+      if (feedback) this.feedbackDatapointsByStateId.set(stateIdRel, feedback);
+    }
+    return dp;
+  }
+
+  /**
+   * @param {string} stateIdRel state receiving the decoded values
+   * @param {string} ga
+   * @param {string} [dpt]
+   * @returns {any} datapoint or null
+   */
+  createDatapoint(stateIdRel, ga, dpt) {
+    try {
+      // Compound DPTs are decoded/encoded by our own codecs instead of knx.js
+      const codec = getDptCodec(dpt);
+      const dp = codec
+        ? new CodecDatapoint({ ga, codec }, this.knxConnection)
+        : new knx.Datapoint({
+          ga,
+          dpt,
           autoread: false
         }, this.knxConnection);
 
-        dp.on('change', (oldVal, newVal) => {
-          this.onKnxDatapointChange(stateIdRel, oldVal, newVal);
-        });
+      dp.on('change', (oldVal, newVal) => {
+        // knx.js updates the datapoint from its own write callback and the local echo; while a
+        // confirmed write is pending only L_Data.con or the status GA may acknowledge it
+        if (this.pendingWrites.get(stateIdRel)?.ga === ga) return;
+        this.onKnxDatapointChange(stateIdRel, oldVal, newVal);
+      });
+      dp.on('decodeError', (err) => {
+        this.log.debug(`Failed to decode telegram for ${stateIdRel} (${ga}): ${err?.message || err}`);
+      });
+      return dp;
+    } catch (e) {
+      this.log.warn(`Failed to create datapoint for ${stateIdRel} (${ga}): ${e?.message || e}`);
+      return null;
+    }
+  }
 
-        this.datapointsByStateId.set(stateIdRel, dp);
-      } catch (e) {
-        this.log.warn(`Failed to create datapoint for ${stateIdRel} (${meta.ga}): ${e?.message || e}`);
+  /**
+   * Answer a GroupValueRead with the current ioBroker value, if a datapoint of the GA
+   * is flagged "ioBroker is source" (`native.respondToRead`).
+   * @param {string} ga
+   */
+  async respondToGroupRead(ga) {
+    const idRel = (this.stateIdsByGa.get(ga) || []).find((id) => {
+      const meta = this.metaByStateId.get(id);
+      // a plain response would disclose the value of a Data Secure GA
+      return meta?.respondToRead && !meta.secured && meta.ga === ga;
+    });
+    if (!idRel) return;
+
+    const meta = this.metaByStateId.get(idRel);
+    const state = await this.getStateAsync(idRel);
+    if (!state || state.val === null || state.val === undefined) {
+      this.log.debug(`GroupValueRead on ${ga}: ${idRel} has no value yet, not answering`);
+      return;
+    }
+
+    const dp = this.datapointsByStateId.get(idRel);
+    if (!dp) return;
+    const busVal = transformOutbound(meta.transform, state.val);
+    const value = dp instanceof CodecDatapoint ? dp.prepare(busVal) : coerceToKnxValue(busVal, meta.dpt);
+
+    this.enqueueKnx(() => {
+      const target = this.datapointsByStateId.get(idRel);
+      if (target instanceof CodecDatapoint) target.respond(value);
+      else if (target) this.knxConnection?.respond(meta.ga, value, meta.dpt);
+    }, `response ${ga}`, {
+      priority: TX_PRIO_WRITE,
+      key: `response:${ga}`
+    });
+  }
+
+  // -------------------------
+  // Group monitor
+  // -------------------------
+
+  /**
+   * Raw bus events of the connection (all GAs, also the unmapped ones).
+   * @param {string} evt e.g. `GroupValue_Write`
+   * @param {string} src individual address of the sender
+   * @param {string} dest group address
+   * @param {Buffer} [data]
+   */
+  onKnxBusEvent(evt, src, dest, data) {
+    const ga = String(dest || '');
+    if (!ga) return;
+
+    if (this.config.groupMonitor) {
+      this.recordTelegram(evt, src, ga, data);
+    }
+
+    if (evt === 'GroupValue_Read' && String(src || '') !== String(this.config.physAddr || '')) {
+      this.respondToGroupRead(ga).catch((e) => this.log.warn(`Response to GroupValueRead on ${ga} failed: ${e?.message || e}`));
+    }
+
+    if (this.pollSchedule.size && (evt === 'GroupValue_Write' || evt === 'GroupValue_Response')) {
+      this.postponePolls(ga);
+    }
+
+    if (this.pendingWrites.size && (evt === 'GroupValue_Write' || evt === 'GroupValue_Response')) {
+      for (const [idRel, pending] of this.pendingWrites) {
+        if (!pending.sent || pending.statusGa !== ga) continue;
+        // the feedback datapoint has already decoded this telegram (knx.js emits `event_<ga>` first);
+        // acknowledge what the actuator reports, not what was commanded
+        const feedback = this.feedbackDatapointsByStateId.get(idRel);
+        const reported = feedback ? this.toStateValue(this.metaByStateId.get(idRel), feedback.current_value) : pending.val;
+        this.resolvePendingWrite(idRel, pending, reported);
       }
     }
 
-    this.log.info(`KNX datapoints bound: ${this.datapointsByStateId.size}`);
+    if (this.config.autoDiscoverGas && !this.stateIdsByGa.has(ga) && !this.unboundGas.has(ga) && !this.discovering.has(ga)) {
+      if (evt === 'GroupValue_Write' || evt === 'GroupValue_Response') {
+        this.discoverGa(ga, data).catch((e) => this.log.warn(`Auto-discovery of ${ga} failed: ${e?.message || e}`));
+      }
+    }
+  }
+
+  /**
+   * @param {string} evt
+   * @param {string} src
+   * @param {string} ga
+   * @param {Buffer} [data]
+   */
+  recordTelegram(evt, src, ga, data) {
+    const size = Math.max(10, Math.min(Number(this.config.groupMonitorSize) || 200, 10000));
+
+    const apci = evt === 'GroupValue_Read' ? 'read' : evt === 'GroupValue_Response' ? 'response' : 'write';
+    const entry = {
+      ts: Date.now(),
+      src: String(src || ''),
+      ga,
+      apci,
+      data: Buffer.isBuffer(data) && apci !== 'read' ? data.toString('hex') : ''
+    };
+
+    // fixed-size ring buffer: overwrite the oldest entry once full
+    if (this.telegrams.length < size) {
+      this.telegrams.push(entry);
+    } else {
+      this.telegrams[this.telegramsStart] = entry;
+      this.telegramsStart = (this.telegramsStart + 1) % this.telegrams.length;
+    }
+
+    // The JSON state is updated at most once per second
+    if (!this.monitorStateTimer) {
+      this.monitorStateTimer = setTimeout(() => {
+        this.monitorStateTimer = null;
+        this.setState('info.groupMonitor', JSON.stringify(this.getTelegrams({})), true);
+      }, 1000);
+    }
+  }
+
+  /**
+   * Telegrams from the ring buffer, oldest first.
+   * @param {{limit?: number, ga?: string, src?: string}} filter
+   * @returns {Array<{ts:number, src:string, ga:string, apci:string, data:string}>}
+   */
+  getTelegrams(filter) {
+    const ordered = [...this.telegrams.slice(this.telegramsStart), ...this.telegrams.slice(0, this.telegramsStart)];
+    let list = ordered;
+    if (filter.ga) list = list.filter((t) => t.ga === String(filter.ga));
+    if (filter.src) list = list.filter((t) => t.src === String(filter.src));
+    const limit = Number(filter.limit);
+    if (limit > 0) list = list.slice(-limit);
+    return list;
+  }
+
+  /**
+   * Create a raw state under `ga._discovered` for a GA seen on the bus but not mapped yet.
+   * A GA that still has an (orphaned, hence unbound) object is not discovered again.
+   * @param {string} ga
+   * @param {Buffer} [data]
+   */
+  async discoverGa(ga, data) {
+    this.discovering.add(ga);
+    try {
+      for (const [idRel, obj] of await this.loadGaObjects()) {
+        if (String(obj.native.ga).trim() !== ga) continue;
+        this.unboundGas.add(ga);
+        this.log.debug(`Not discovering ${ga}: it belongs to ${idRel}${obj.native.orphaned ? ' (orphaned)' : ''}`);
+        return;
+      }
+
+      await this.setObjectNotExistsAsync('ga._discovered', {
+        type: 'channel',
+        common: { name: 'Discovered on the bus' },
+        native: {}
+      });
+
+      const id = `ga._discovered.${sanitizeIdSegment(ga.replace(/\//g, '_'))}`;
+      await this.upsertGaState({
+        id,
+        name: ga,
+        ga,
+        dpt: undefined,
+        flags: { readFlag: true, writeFlag: true, transmitFlag: true, updateFlag: false },
+        source: 'discovered'
+      });
+
+      const meta = {
+        ga,
+        dpt: undefined,
+        secured: false,
+        flags: { readFlag: true, writeFlag: true, transmitFlag: true, updateFlag: false }
+      };
+      this.metaByStateId.set(id, meta);
+      this.addGaIndex(ga, id);
+      this.log.info(`Discovered new group address ${ga} -> ${id}`);
+
+      const dp = this.bindDatapoint(id, meta);
+      if (dp && Buffer.isBuffer(data)) {
+        // the telegram that triggered the discovery was emitted before the binding existed
+        dp.update(dp.codec.decode(data));
+      }
+    } finally {
+      this.discovering.delete(ga);
+    }
   }
 
   enqueueInitialReads() {
@@ -545,7 +2351,7 @@ class NexowattKnx extends utils.Adapter {
 
       // Only read if ETS says it's readable (or if unknown)
       if (meta.flags?.readFlag) {
-        this.enqueueKnx(() => dp.read(), `read ${meta.ga}`);
+        this.enqueueRead(stateIdRel, meta, 'read', TX_PRIO_READ);
       }
     }
 
@@ -553,11 +2359,79 @@ class NexowattKnx extends utils.Adapter {
   }
 
   async onKnxDatapointChange(stateIdRel, oldVal, newVal) {
+    const meta = this.metaByStateId.get(stateIdRel);
+    const val = this.toStateValue(meta, newVal);
+
+    const filter = meta?.inbound;
+    if (filter && !this.passInboundFilter(stateIdRel, val, filter)) return;
+
+    await this.storeInboundValue(stateIdRel, val);
+  }
+
+  /**
+   * Convert a decoded bus value into the value stored in the state.
+   * @param {{transform?:import('./lib/value-transform').ValueTransform}|undefined} meta
+   * @param {any} busVal
+   * @returns {any}
+   */
+  toStateValue(meta, busVal) {
     // Map Date to ISO string for ioBroker storage
-    let val = newVal;
+    let val = busVal;
     if (val instanceof Date) {
       val = val.toISOString();
+    } else if (val !== null && typeof val === 'object') {
+      // compound values without a codec (e.g. DPT 2, 10 day-of-week structs) are stored as JSON
+      val = JSON.stringify(val);
+    }
+    return transformInbound(meta?.transform, val);
+  }
+
+  /**
+   * Apply "only on change", deadband and minimum interval. A value held back by the minimum
+   * interval is stored when the interval has passed, unless a newer telegram replaces or drops it.
+   * @param {string} stateIdRel
+   * @param {any} val
+   * @param {import('./lib/inbound-filter').InboundFilter} filter
+   * @returns {boolean} true if the value should be stored now
+   */
+  passInboundFilter(stateIdRel, val, filter) {
+    const result = evaluateInboundFilter(filter, this.inboundLast.get(stateIdRel), val, Date.now());
+    if (result.action === 'store') return true;
+
+    const pending = this.inboundPending.get(stateIdRel);
+    if (result.action === 'drop') {
+      // a value held back earlier is older than this one and must not be stored after it
+      if (pending) {
+        clearTimeout(pending.timer);
+        this.inboundPending.delete(stateIdRel);
+      }
+      return false;
+    }
+
+    if (pending) {
+      pending.val = val;
+    } else {
+      const entry = { val, timer: null };
+      entry.timer = setTimeout(() => {
+        this.inboundPending.delete(stateIdRel);
+        this.storeInboundValue(stateIdRel, entry.val);
+      }, result.wait);
+      this.inboundPending.set(stateIdRel, entry);
+    }
+    return false;
+  }
+
+  /**
+   * @param {string} stateIdRel
+   * @param {any} val
+   */
+  async storeInboundValue(stateIdRel, val) {
+    const pending = this.inboundPending.get(stateIdRel);
+    if (pending) {
+      clearTimeout(pending.timer);
+      this.inboundPending.delete(stateIdRel);
     }
+    this.inboundLast.set(stateIdRel, { val, ts: Date.now() });
 
     try {
       await this.setStateAsync(stateIdRel, val, true);
@@ -566,12 +2440,350 @@ class NexowattKnx extends utils.Adapter {
     }
   }
 
+  // -------------------------
+  // Foreign state export
+  // -------------------------
+
+  /**
+   * Collect export bindings from the `exportDatapoints` table and from `custom` settings of
+   * foreign objects, and (un)subscribe the foreign states accordingly.
+   */
+  async loadExportBindings() {
+    const bindings = new Map();
+
+    const add = (id, cfg, source) => {
+      const stateId = String(id || '').trim();
+      const ga = String(cfg?.ga || '').trim();
+      if (!stateId || !ga) return;
+
+      const list = bindings.get(stateId) || [];
+      list.push({
+        ga,
+        dpt: cfg.dpt ? String(cfg.dpt).trim() : undefined,
+        onChange: cfg.onChange === undefined ? true : Boolean(cfg.onChange),
+        delta: Math.max(0, Number(cfg.delta) || 0),
+        cycleMs: Math.max(0, Number(cfg.cycle) || 0) * 1000,
+        source,
+        value: undefined,
+        hasValue: false,
+        lastSent: undefined,
+        lastSentAt: 0
+      });
+      bindings.set(stateId, list);
+    };
+
+    const table = Array.isArray(this.config.exportDatapoints) ? this.config.exportDatapoints : [];
+    for (const row of table) {
+      if (row && row.enabled !== false) add(row.stateId, row, 'table');
+    }
+
+    const res = await this.getObjectViewAsync('system', 'custom', {});
+    for (const row of res?.rows || []) {
+      const custom = row.value?.[this.namespace];
+      if (custom?.enabled) add(row.id, custom, 'custom');
+    }
+
+    for (const id of this.exportBindings.keys()) {
+      if (!bindings.has(id)) this.unsubscribeForeignStates(id);
+    }
+    for (const [id, list] of bindings) {
+      if (!this.exportBindings.has(id)) this.subscribeForeignStates(id);
+
+      // Keep what was already sent, so a reload doesn't resend everything
+      const previous = this.exportBindings.get(id) || [];
+      for (const b of list) {
+        const old = previous.find((p) => p.ga === b.ga);
+        if (old) Object.assign(b, { value: old.value, hasValue: old.hasValue, lastSent: old.lastSent, lastSentAt: old.lastSentAt });
+      }
+      if (!list.some((b) => b.hasValue)) {
+        const state = await this.getForeignStateAsync(id);
+        if (state) list.forEach((b) => Object.assign(b, { value: state.val, hasValue: state.val !== null && state.val !== undefined }));
+      }
+    }
+    this.exportBindings = bindings;
+
+    const cyclic = [...bindings.values()].some((list) => list.some((b) => b.cycleMs > 0));
+    if (cyclic && !this.exportTimer) {
+      this.exportTimer = setInterval(() => this.onExportTick(), 1000);
+    } else if (!cyclic && this.exportTimer) {
+      clearInterval(this.exportTimer);
+      this.exportTimer = null;
+    }
+
+    const count = [...bindings.values()].reduce((sum, list) => sum + list.length, 0);
+    if (count) this.log.info(`Publishing ${bindings.size} foreign state(s) to ${count} group address(es).`);
+  }
+
+  /**
+   * Reload exports when `custom` settings of an object change (debounced).
+   * @param {string} id
+   * @param {ioBroker.Object|null|undefined} obj
+   */
+  onObjectChange(id, obj) {
+    const own = `${this.namespace}.ga.`;
+    if (id.startsWith(own)) {
+      // settings edited on our own GA states (native, `custom`)
+      const idRel = id.slice(this.namespace.length + 1);
+      const meta = this.metaByStateId.get(idRel);
+      const next = meta && obj ? this.buildMeta(idRel, obj) : undefined;
+      if (!next) return;
+      this.updateMeta(idRel, meta, next);
+      if (!sameTransform(meta.transform, next.transform) || next.dpt !== meta.dpt) {
+        this.fitCommonToTransform(idRel, obj, next).catch((e) => this.log.warn(`${idRel}: ${e?.message || e}`));
+      }
+      return;
+    }
+
+    const custom = obj?.common?.custom?.[this.namespace];
+    if (!custom && !this.exportBindings.has(id)) return;
+    if (this.exportReloadTimer) clearTimeout(this.exportReloadTimer);
+
+    this.exportReloadTimer = setTimeout(() => {
+      this.exportReloadTimer = null;
+      this.loadExportBindings().catch((e) => this.log.warn(`Reloading KNX exports failed: ${e?.message || e}`));
+    }, 2000);
+  }
+
+  /**
+   * Update min/max/unit/states of a GA state after its transform was edited; a hand-edited unit is kept.
+   * @param {string} idRel
+   * @param {ioBroker.Object} obj
+   * @param {any} meta mapping built from `obj`
+   */
+  async fitCommonToTransform(idRel, obj, meta) {
+    const fitted = transformCommon(inferCommonFromDpt(meta.dpt, { writable: obj.common?.write !== false, name: obj.common?.name }), meta.transform);
+    const keys = ['min', 'max', 'states'];
+    const generatedUnit = obj.native?.generated?.unit;
+    const unitEdited = generatedUnit !== undefined && (obj.common?.unit ?? null) !== generatedUnit;
+    if (!unitEdited) keys.push('unit');
+
+    const common = {};
+    for (const key of keys) {
+      const want = fitted[key] ?? null;
+      if (JSON.stringify(want) !== JSON.stringify(obj.common?.[key] ?? null)) common[key] = want;
+    }
+    if (!Object.keys(common).length) return;
+
+    // extendObject merges deeply: replace a changed states map
+    if (common.states && obj.common?.states) await this.extendObjectAsync(idRel, { common: { states: null } });
+    const update = { common };
+    if (!unitEdited && obj.native?.generated) update.native = { generated: { unit: fitted.unit ?? null } };
+    await this.extendObjectAsync(idRel, update);
+    this.log.debug(`${idRel}: value range updated for the transform (${Object.keys(common).join(', ')})`);
+  }
+
+  /**
+   * Apply an edited GA object to the running mapping: a changed GA, DPT or status GA rebinds
+   * the datapoint, a changed poll interval reschedules it.
+   * @param {string} idRel
+   * @param {any} meta current mapping
+   * @param {any} next mapping built from the edited object
+   */
+  updateMeta(idRel, meta, next) {
+    const rebind = next.ga !== meta.ga || next.dpt !== meta.dpt || next.statusGa !== meta.statusGa;
+
+    if (rebind) {
+      for (const ga of [meta.ga, meta.statusGa]) {
+        const ids = ga ? this.stateIdsByGa.get(ga) : undefined;
+        if (!ids) continue;
+        const rest = ids.filter((x) => x !== idRel);
+        if (rest.length) this.stateIdsByGa.set(ga, rest);
+        else this.stateIdsByGa.delete(ga);
+      }
+      this.addGaIndex(next.ga, idRel);
+      if (next.statusGa) this.addGaIndex(next.statusGa, idRel);
+    }
+    this.metaByStateId.set(idRel, next);
+
+    if (rebind) {
+      for (const dp of [this.datapointsByStateId.get(idRel), this.feedbackDatapointsByStateId.get(idRel)]) {
+        try {
+          dp?.removeAllListeners();
+        } catch {
+          // ignore
+        }
+      }
+      this.datapointsByStateId.delete(idRel);
+      this.feedbackDatapointsByStateId.delete(idRel);
+      this.bindDatapoint(idRel, next);
+      this.log.debug(`${idRel}: mapping changed, datapoint rebound`);
+    }
+
+    if (next.pollIntervalMs !== meta.pollIntervalMs) {
+      this.pollSchedule.delete(idRel);
+      this.rebuildPollSchedule();
+    }
+  }
+
+  /**
+   * Send-on-change / send-on-delta for a foreign state.
+   * @param {string} id
+   * @param {ioBroker.State} state
+   */
+  onExportStateChange(id, state) {
+    const val = state.val;
+    if (val === null || val === undefined) return;
+
+    for (const b of this.exportBindings.get(id) || []) {
+      b.value = val;
+      b.hasValue = true;
+
+      if (b.lastSentAt === 0) {
+        if (b.onChange || b.delta > 0) this.sendExport(b, 'initial');
+      } else if (b.delta > 0 && typeof val === 'number' && typeof b.lastSent === 'number') {
+        if (Math.abs(val - b.lastSent) >= b.delta) this.sendExport(b, 'delta');
+      } else if (b.onChange && val !== b.lastSent) {
+        this.sendExport(b, 'change');
+      }
+    }
+  }
+
+  onExportTick() {
+    const now = Date.now();
+    for (const list of this.exportBindings.values()) {
+      for (const b of list) {
+        if (b.cycleMs > 0 && b.hasValue && now - b.lastSentAt >= b.cycleMs) this.sendExport(b, 'cycle');
+      }
+    }
+  }
+
+  /**
+   * @param {{ga:string, dpt?:string, value:any, lastSent:any, lastSentAt:number}} binding
+   * @param {string} reason
+   */
+  sendExport(binding, reason) {
+    const { ga, dpt, value: val } = binding;
+
+    let frame;
+    let value;
+    const codec = getDptCodec(dpt);
+    try {
+      if (codec) frame = encodeFrame(codec, val);
+      else value = coerceToKnxValue(val, dpt);
+    } catch (e) {
+      this.log.warn(`Cannot publish ${JSON.stringify(val)} to ${ga}: ${e?.message || e}`);
+      return;
+    }
+
+    binding.lastSent = val;
+    binding.lastSentAt = Date.now();
+
+    this.enqueueKnx(() => {
+      const conn = this.knxConnection;
+      if (!conn) return;
+      if (frame) conn.writeRaw(ga, frame.buffer, frame.bitlength);
+      else conn.write(ga, value, dpt);
+    }, `export ${ga} (${reason})`, {
+      priority: TX_PRIO_WRITE,
+      key: isCoalescableDpt(dpt) ? `write:${ga}` : undefined
+    });
+  }
+
+  // -------------------------
+  // Write confirmation
+  // -------------------------
+
+  /**
+   * Track a write until it is confirmed (L_Data.con or status GA) or times out.
+   * A newer write to the same state replaces the pending one.
+   * @param {string} idRel
+   * @param {{ga:string, statusGa?:string}} meta
+   * @param {any} val
+   */
+  addPendingWrite(idRel, meta, val) {
+    const previous = this.pendingWrites.get(idRel);
+    if (previous) clearTimeout(previous.timer);
+
+    const timeout = Math.max(500, Number(this.config.writeConfirmTimeoutMs) || 5000);
+    // a status GA equal to the command GA would be confirmed by our own local echo
+    const statusGa = meta.statusGa && meta.statusGa !== meta.ga ? meta.statusGa : undefined;
+
+    const pending = { ga: meta.ga, statusGa, val, sent: false, timer: null };
+    pending.timer = setTimeout(() => {
+      if (this.pendingWrites.get(idRel) !== pending) return;
+      const reason = !pending.sent
+        ? 'not sent (queue)'
+        : statusGa ? `no feedback on status GA ${statusGa}` : 'no confirmation from the bus';
+      this.failPendingWrite(idRel, pending, reason);
+    }, timeout);
+
+    this.pendingWrites.set(idRel, pending);
+  }
+
+  /**
+   * @param {string} idRel
+   */
+  onPendingWriteSent(idRel) {
+    const pending = this.pendingWrites.get(idRel);
+    if (!pending) return;
+    pending.sent = true;
+
+    // Routing has no L_Data.con; without a status GA sending is all we can confirm
+    if (!pending.statusGa && this.isRoutingMode()) {
+      this.resolvePendingWrite(idRel, pending);
+    }
+  }
+
+  /**
+   * @param {string} ga
+   */
+  onKnxWriteConfirmed(ga) {
+    for (const [idRel, pending] of this.pendingWrites) {
+      if (pending.sent && !pending.statusGa && pending.ga === ga) this.resolvePendingWrite(idRel, pending);
+    }
+  }
+
+  /**
+   * @param {string} ga
+   * @param {string} reason
+   */
+  onKnxWriteFailed(ga, reason) {
+    for (const [idRel, pending] of this.pendingWrites) {
+      if (pending.sent && pending.ga === ga) this.failPendingWrite(idRel, pending, reason);
+    }
+  }
+
+  /**
+   * @param {string} idRel
+   * @param {{val:any, timer:any}} pending
+   * @param {any} [val] value to acknowledge, default the written one
+   */
+  resolvePendingWrite(idRel, pending, val = pending.val) {
+    clearTimeout(pending.timer);
+    this.pendingWrites.delete(idRel);
+    this.setState(idRel, { val, ack: true, q: 0 });
+  }
+
+  /**
+   * Acknowledge the written value with quality 0x42 (device not connected) and publish the error.
+   * @param {string} idRel
+   * @param {{ga:string, val:any, timer:any}} pending
+   * @param {string} reason
+   */
+  failPendingWrite(idRel, pending, reason) {
+    clearTimeout(pending.timer);
+    this.pendingWrites.delete(idRel);
+    this.log.warn(`Write to ${idRel} (${pending.ga}) not confirmed: ${reason}`);
+
+    this.setState(idRel, { val: pending.val, ack: true, q: 0x42 });
+    this.setState(
+      'info.lastWriteError',
+      JSON.stringify({ ts: Date.now(), id: idRel, ga: pending.ga, val: pending.val, reason }),
+      true
+    );
+  }
+
   // -------------------------
   // ioBroker -> KNX writes
   // -------------------------
 
   async onStateChange(idFull, state) {
     if (!state) return;
+
+    if (this.exportBindings.has(idFull)) {
+      this.onExportStateChange(idFull, state);
+    }
+
     if (state.ack) return;
 
     const prefix = `${this.namespace}.`;
@@ -591,12 +2803,37 @@ class NexowattKnx extends utils.Adapter {
 
     const flags = meta.flags || {};
 
+    // Plain telegrams to Data Secure GAs are dropped by the receivers; don't pretend they were sent
+    if (meta.secured) {
+      this.log.warn(`${idRel} (${meta.ga}) is KNX Data Secure; secure group communication is not supported by the transport.`);
+      return;
+    }
+
     // Write
     if (flags.writeFlag) {
-      const value = coerceToKnxValue(state.val, meta.dpt);
-      this.enqueueKnx(() => dp.write(value), `write ${meta.ga}`);
+      let value;
+      try {
+        const busVal = transformOutbound(meta.transform, state.val);
+        value = dp instanceof CodecDatapoint ? dp.prepare(busVal) : coerceToKnxValue(busVal, meta.dpt);
+      } catch (e) {
+        this.log.warn(`Cannot write ${idRel} (${meta.ga}): ${e?.message || e}`);
+        return;
+      }
+      const confirm = this.config.writeConfirmation === 'confirm';
+      if (confirm) this.addPendingWrite(idRel, meta, state.val);
+
+      this.enqueueKnx(() => {
+        const target = this.datapointsByStateId.get(idRel);
+        if (!target) return;
+        target.write(value);
+        if (confirm) this.onPendingWriteSent(idRel);
+      }, `write ${meta.ga}`, {
+        priority: TX_PRIO_WRITE,
+        // steps, triggers and scenes must all be sent, in order
+        key: isCoalescableDpt(meta.dpt) ? `write:${meta.ga}` : undefined
+      });
 
-      if (this.config.ackOnWrite) {
+      if (this.config.ackOnWrite && !confirm) {
         // mark as processed
         await this.setStateAsync(idRel, state.val, true);
       }
@@ -605,7 +2842,7 @@ class NexowattKnx extends utils.Adapter {
 
     // Read trigger
     if (flags.readFlag) {
-      this.enqueueKnx(() => dp.read(), `read ${meta.ga}`);
+      this.enqueueRead(idRel, meta, 'read', TX_PRIO_WRITE);
 
       if (this.config.ackOnWrite) {
         await this.setStateAsync(idRel, state.val, true);
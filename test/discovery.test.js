@@ -0,0 +1,55 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadAdapter } = require('./helpers/adapter');
+
+describe('auto-discovery', () => {
+  /**
+   * @param {Record<string, any>} objects relative id -> GA object
+   * @returns {any} adapter recording the GA states it creates
+   */
+  function createAdapter(objects) {
+    const adapter = loadAdapter()({});
+    adapter.config.autoDiscoverGas = true;
+    adapter.created = [];
+    adapter.loadGaObjects = async () => new Map(Object.entries(objects));
+    adapter.setObjectNotExistsAsync = async () => undefined;
+    adapter.upsertGaState = async (entry) => adapter.created.push(entry.id);
+    adapter.bindDatapoint = () => undefined;
+    return adapter;
+  }
+
+  const orphan = { type: 'state', common: {}, native: { ga: '1/2/3', dpt: '9.001', orphaned: true } };
+
+  it('creates a raw state for an unknown GA', async () => {
+    const adapter = createAdapter({});
+    await adapter.discoverGa('1/2/3');
+    assert.deepEqual(adapter.created, ['ga._discovered.1_2_3']);
+    assert.deepEqual(adapter.stateIdsByGa.get('1/2/3'), ['ga._discovered.1_2_3']);
+  });
+
+  it('does not duplicate the object of an orphaned GA', async () => {
+    const adapter = createAdapter({ 'ga.room.temp': orphan });
+    await adapter.discoverGa('1/2/3');
+    assert.deepEqual(adapter.created, []);
+    assert.equal(adapter.stateIdsByGa.has('1/2/3'), false);
+  });
+
+  it('skips orphaned GAs on the bus without looking them up again', async () => {
+    const adapter = createAdapter({ 'ga.room.temp': orphan });
+    await adapter.rebuildRuntimeMapping();
+    assert.equal(adapter.metaByStateId.size, 0);
+
+    let lookups = 0;
+    adapter.loadGaObjects = async () => {
+      lookups++;
+      return new Map();
+    };
+    adapter.onKnxBusEvent('GroupValue_Write', '1.1.10', '1/2/3', Buffer.from([0x0c, 0x1a]));
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(lookups, 0);
+    assert.deepEqual(adapter.created, []);
+  });
+});
@@ -0,0 +1,171 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getDptCodec } = require('../lib/knx-utils');
+const { encodeFrame } = require('../lib/knx-datapoint');
+
+/**
+ * @param {string} dpt
+ * @param {any} value
+ * @returns {any} value after encode + decode
+ */
+function roundTrip(dpt, value) {
+  const codec = getDptCodec(dpt);
+  return codec.decode(codec.encode(value));
+}
+
+describe('DPT 232.600 RGB', () => {
+  const codec = getDptCodec('232.600');
+
+  it('round-trips hex colours', () => {
+    assert.equal(roundTrip('232.600', '#12abef'), '#12abef');
+    assert.equal(roundTrip('232.600', '12ABEF'), '#12abef');
+    assert.deepEqual(codec.encode('#ff8000'), Buffer.from([0xff, 0x80, 0x00]));
+    assert.equal(encodeFrame(codec, '#ff8000').bitlength, 24);
+  });
+
+  it('accepts objects, arrays and JSON', () => {
+    assert.equal(roundTrip('232.600', { red: 1, green: 2, blue: 3 }), '#010203');
+    assert.equal(roundTrip('232.600', { r: 255, g: 0, b: 16 }), '#ff0010');
+    assert.equal(roundTrip('232.600', [10, 20, 30]), '#0a141e');
+    assert.equal(roundTrip('232.600', '{"r":1,"g":2,"b":3}'), '#010203');
+  });
+
+  it('clamps out-of-range channels', () => {
+    assert.equal(roundTrip('232.600', { r: 300, g: -5, b: 127.6 }), '#ff0080');
+  });
+
+  it('rejects invalid values', () => {
+    assert.throws(() => codec.encode('#12345'), /Invalid RGB/);
+    assert.throws(() => codec.encode('red'), /Invalid RGB/);
+    assert.throws(() => codec.encode(42), /Invalid RGB/);
+  });
+});
+
+describe('DPT 251.600 RGBW', () => {
+  const codec = getDptCodec('251.600');
+
+  it('round-trips hex colours with white channel', () => {
+    assert.equal(roundTrip('251.600', '#01020304'), '#01020304');
+    assert.deepEqual(codec.encode('#01020304'), Buffer.from([1, 2, 3, 4, 0x00, 0x0f]));
+    assert.equal(encodeFrame(codec, '#01020304').bitlength, 48);
+  });
+
+  it('accepts #rrggbb with white = 0 and objects', () => {
+    assert.equal(roundTrip('251.600', '#aabbcc'), '#aabbcc00');
+    assert.equal(roundTrip('251.600', { red: 1, green: 2, blue: 3, white: 4 }), '#01020304');
+  });
+
+  it('reports channels without validity bit as 0', () => {
+    // only red and white valid
+    assert.equal(codec.decode(Buffer.from([0x11, 0x22, 0x33, 0x44, 0x00, 0b1001])), '#11000044');
+  });
+
+  it('clamps out-of-range channels', () => {
+    assert.equal(roundTrip('251.600', { r: 300, g: -5, b: 10, w: 20 }), '#ff000a14');
+  });
+
+  it('rejects invalid values', () => {
+    assert.throws(() => codec.encode('#0102030'), /Invalid RGBW/);
+    assert.throws(() => codec.encode(null), /Invalid RGBW/);
+  });
+});
+
+describe('DPT 242.600 xyY', () => {
+  const codec = getDptCodec('242.600');
+
+  it('round-trips colour and brightness', () => {
+    assert.deepEqual(JSON.parse(roundTrip('242.600', { x: 0.3127, y: 0.329, brightness: 100 })), { x: 0.3127, y: 0.329, brightness: 100 });
+  });
+
+  it('loses precision on the 8 bit brightness', () => {
+    // 50 % -> 128 / 255
+    assert.deepEqual(JSON.parse(roundTrip('242.600', '{"x":0.3,"y":0.4,"brightness":50}')), { x: 0.3, y: 0.4, brightness: 50.2 });
+  });
+
+  it('only sends the parts that are given', () => {
+    assert.deepEqual(JSON.parse(roundTrip('242.600', { brightness: 0 })), { brightness: 0 });
+    assert.deepEqual(JSON.parse(roundTrip('242.600', { x: 0.5, y: 0.25 })), { x: 0.5, y: 0.25 });
+    assert.equal(codec.encode({ Y: 100 })[4], 255);
+  });
+
+  it('clamps out-of-range inputs', () => {
+    assert.deepEqual(JSON.parse(roundTrip('242.600', { x: 1.5, y: -1, brightness: 150 })), { x: 1, y: 0, brightness: 100 });
+  });
+
+  it('rejects invalid values', () => {
+    assert.throws(() => codec.encode('0.3,0.4'), /Invalid xyY/);
+    assert.throws(() => codec.encode(7), /Invalid xyY/);
+  });
+});
+
+describe('DPT 235.001 tariff / active energy', () => {
+  const codec = getDptCodec('235.001');
+
+  it('round-trips energy and tariff', () => {
+    assert.deepEqual(JSON.parse(roundTrip('235.001', { energy: 123456, tariff: 2 })), { energy: 123456, tariff: 2 });
+    assert.deepEqual(JSON.parse(roundTrip('235.001', { energy: -5, tariff: 0 })), { energy: -5, tariff: 0 });
+  });
+
+  it('decodes a known telegram byte by byte', () => {
+    // energy 0x0001E240 = 123456 Wh, tariff 2, validity 0b00 (both valid)
+    assert.deepEqual(JSON.parse(codec.decode(Buffer.from([0x00, 0x01, 0xe2, 0x40, 0x02, 0x00]))), { energy: 123456, tariff: 2 });
+    // bit 0: tariff invalid
+    assert.deepEqual(JSON.parse(codec.decode(Buffer.from([0x00, 0x01, 0xe2, 0x40, 0x02, 0x01]))), { energy: 123456 });
+    // bit 1: energy invalid
+    assert.deepEqual(JSON.parse(codec.decode(Buffer.from([0x00, 0x01, 0xe2, 0x40, 0x02, 0x02]))), { tariff: 2 });
+    assert.deepEqual(JSON.parse(codec.decode(Buffer.from([0x00, 0x01, 0xe2, 0x40, 0x02, 0x03]))), {});
+  });
+
+  it('marks missing parts as invalid', () => {
+    assert.deepEqual(JSON.parse(roundTrip('235.001', 12)), { energy: 12 });
+    assert.deepEqual(JSON.parse(roundTrip('235.001', { tariff: 1 })), { tariff: 1 });
+    assert.deepEqual([...codec.encode(12)], [0x00, 0x00, 0x00, 0x0c, 0x00, 0x01]);
+    assert.deepEqual([...codec.encode({ tariff: 1 })], [0x00, 0x00, 0x00, 0x00, 0x01, 0x02]);
+    assert.equal(codec.encode({})[5], 0x03);
+  });
+
+  it('clamps out-of-range inputs', () => {
+    assert.deepEqual(JSON.parse(roundTrip('235.001', { energy: 2 ** 40, tariff: 300 })), { energy: 2147483647, tariff: 254 });
+  });
+
+  it('rejects invalid values', () => {
+    assert.throws(() => codec.encode('lots'), /Invalid tariff\/energy/);
+  });
+});
+
+describe('DPT 3 control', () => {
+  const codec = getDptCodec('3.007');
+
+  it('round-trips step codes', () => {
+    for (const step of [-7, -3, -1, 0, 1, 4, 7]) assert.equal(roundTrip('3.007', step), step);
+    assert.equal(getDptCodec('3.008'), codec);
+    assert.equal(encodeFrame(codec, 1).bitlength, 4);
+  });
+
+  it('encodes direction and step like the KNX spec', () => {
+    assert.deepEqual(codec.encode(1), Buffer.from([0x09]));
+    assert.deepEqual(codec.encode(-1), Buffer.from([0x01]));
+    assert.deepEqual(codec.encode(0), Buffer.from([0x00]));
+    // "stop" with the increase bit set
+    assert.equal(codec.decode(Buffer.from([0x08])), 0);
+  });
+
+  it('accepts booleans and the knx.js object form', () => {
+    assert.equal(roundTrip('3.007', true), 1);
+    assert.equal(roundTrip('3.007', false), -1);
+    assert.equal(roundTrip('3.007', { decr_incr: 1, data: 3 }), 3);
+    assert.equal(roundTrip('3.007', '{"decr_incr":0,"data":2}'), -2);
+  });
+
+  it('clamps out-of-range inputs', () => {
+    assert.equal(roundTrip('3.007', 9), 7);
+    assert.equal(roundTrip('3.007', -100), -7);
+  });
+
+  it('rejects invalid values', () => {
+    assert.throws(() => codec.encode('up'), /Invalid control value/);
+  });
+});
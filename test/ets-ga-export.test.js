@@ -0,0 +1,84 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseGaExport } = require('../lib/ets-ga-export');
+
+describe('parseGaExport (CSV)', () => {
+  it('reads the three-level format with group ranges, quoting and several DPTs', () => {
+    const csv = [
+      '"Main";"Middle";"Sub";"Address";"Central";"Unfiltered";"Description";"DatapointType";"Security"',
+      '"Lighting";"";"";"1/-/-";"";"";"";"";"Auto"',
+      '"";"Ground floor";"";"1/1/-";"";"";"";"";"Auto"',
+      '"";"";"Kitchen ""ceiling""";"1/1/1";"";"";"Line 1; east";"DPST-1-1, DPST-1-2";"Auto"',
+      '"";"";"Hall";"1/1/2";"";"";"";"";"Auto"'
+    ].join('\r\n');
+
+    const { style, groups } = parseGaExport(Buffer.from(csv), 'csv');
+    assert.equal(style, 'ThreeLevel');
+    assert.deepEqual(groups, [
+      { groupRangePath: ['Lighting', 'Ground floor'], name: 'Kitchen "ceiling"', address: '1/1/1', datapointType: 'DPST-1-1', description: 'Line 1; east' },
+      { groupRangePath: ['Lighting', 'Ground floor'], name: 'Hall', address: '1/1/2', datapointType: undefined, description: undefined }
+    ]);
+  });
+
+  it('reads the three-level format without header', () => {
+    const csv = '"Lighting";"";"";"1/-/-";"";"";"";"";"Auto"\n"";"";"Kitchen";"1/1/1";"";"";"";"DPST-1-1";"Auto"\n';
+    const { groups } = parseGaExport(Buffer.from(csv), 'csv');
+    assert.deepEqual(groups.map((g) => [g.groupRangePath, g.name, g.address]), [[['Lighting'], 'Kitchen', '1/1/1']]);
+  });
+
+  it('reads the one-level format with and without header', () => {
+    const withHeader = '"Group name","Address","Central","Unfiltered","Description","DatapointType","Security"\n"Kitchen, ceiling","1/1/1","","","","DPT-5","Auto"\n';
+    assert.deepEqual(parseGaExport(Buffer.from(withHeader), 'csv').groups, [
+      { groupRangePath: [], name: 'Kitchen, ceiling', address: '1/1/1', datapointType: 'DPT-5', description: undefined }
+    ]);
+
+    const { style, groups } = parseGaExport(Buffer.from('Kitchen;1/234;;;Dimmer;DPST-5-1;Auto\n'), 'csv');
+    assert.equal(style, 'TwoLevel');
+    assert.deepEqual(groups.map((g) => [g.name, g.address, g.description, g.datapointType]), [['Kitchen', '1/234', 'Dimmer', 'DPST-5-1']]);
+  });
+
+  it('decodes Windows-1252 and UTF-16 exports', () => {
+    const latin1 = Buffer.from('Küche;4660;;;;;Auto\n', 'latin1');
+    const { style, groups } = parseGaExport(latin1, 'csv');
+    assert.equal(style, 'Free');
+    assert.equal(groups[0].name, 'Küche');
+
+    const utf16 = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('Küche;1/1/1;;;;;Auto\n', 'utf16le')]);
+    assert.equal(parseGaExport(utf16, 'csv').groups[0].name, 'Küche');
+  });
+
+  it('rejects CSV files without addresses', () => {
+    assert.throws(() => parseGaExport(Buffer.from('a;b;c\n'), 'csv'), /Unrecognized ETS group address CSV export/);
+  });
+});
+
+describe('parseGaExport (XML)', () => {
+  it('reads nested group ranges and entities', () => {
+    const xml = [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<GroupAddress-Export xmlns="http://knx.org/xml/ga-export/01">',
+      '  <GroupRange Name="Lighting" RangeStart="2048" RangeEnd="4095">',
+      '    <GroupRange Name="Ground floor" RangeStart="2304" RangeEnd="2559">',
+      '      <GroupAddress Name="Kitchen &amp; dining" Address="1/1/1" DPTs="DPST-1-1" Description="east" />',
+      '    </GroupRange>',
+      '    <GroupRange Name="Empty" RangeStart="2560" RangeEnd="2815" />',
+      '    <GroupAddress Name="Central" Address="1/7/0" />',
+      '  </GroupRange>',
+      '</GroupAddress-Export>'
+    ].join('\n');
+
+    const { style, groups } = parseGaExport(Buffer.from(xml), 'xml');
+    assert.equal(style, 'ThreeLevel');
+    assert.deepEqual(groups, [
+      { groupRangePath: ['Lighting', 'Ground floor'], name: 'Kitchen & dining', address: '1/1/1', datapointType: 'DPST-1-1', description: 'east' },
+      { groupRangePath: ['Lighting'], name: 'Central', address: '1/7/0', datapointType: undefined, description: undefined }
+    ]);
+  });
+
+  it('rejects other XML files', () => {
+    assert.throws(() => parseGaExport(Buffer.from('<KNX />'), 'xml'), /not an ETS group address XML export/);
+  });
+});
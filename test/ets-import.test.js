@@ -0,0 +1,137 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { diffEtsEntries, resolveIdCollisions } = require('../lib/ets-import');
+
+const FLAGS = { readFlag: true, writeFlag: true, transmitFlag: false, updateFlag: false };
+
+/**
+ * @param {string} id
+ * @param {string} ga
+ * @param {string} name
+ * @param {object} [native] merged into `native`
+ * @returns {{id:string, common:any, native:any}} object as left by the last import
+ */
+function object(id, ga, name, native = {}) {
+  return {
+    id,
+    common: { name },
+    native: { ga, dpt: '1.001', flags: FLAGS, imported: { name, dpt: '1.001', flags: FLAGS }, ...native }
+  };
+}
+
+/**
+ * @param {string} id
+ * @param {string} ga
+ * @param {string} name
+ * @param {object} [extra]
+ * @returns {any} import entry
+ */
+function entry(id, ga, name, extra = {}) {
+  return { id, ga, name, dpt: '1.001', flags: FLAGS, ...extra };
+}
+
+describe('diffEtsEntries', () => {
+  it('reports added and removed GAs and counts unchanged ones', () => {
+    const report = diffEtsEntries(
+      [object('ga.light.kitchen', '1/1/1', 'Kitchen'), object('ga.light.hall', '1/1/2', 'Hall')],
+      [entry('ga.light.kitchen', '1/1/1', 'Kitchen'), entry('ga.light.bath', '1/1/3', 'Bath')]
+    );
+
+    assert.deepEqual(report.added, [{ id: 'ga.light.bath', ga: '1/1/3', name: 'Bath' }]);
+    assert.deepEqual(report.removed, [{ id: 'ga.light.hall', ga: '1/1/2', name: 'Hall' }]);
+    assert.equal(report.unchanged, 1);
+    assert.deepEqual([...report.changedIds], ['ga.light.bath']);
+  });
+
+  it('reports renamed GAs and changed DPTs and flags against the last import', () => {
+    const report = diffEtsEntries(
+      [object('ga.light.kitchen', '1/1/1', 'Kitchen')],
+      [entry('ga.light.kitchen', '1/1/1', 'Kitchen ceiling', { dpt: '5.001', flags: { ...FLAGS, transmitFlag: true } })]
+    );
+
+    assert.deepEqual(report.renamed, [{ id: 'ga.light.kitchen', ga: '1/1/1', from: 'Kitchen', to: 'Kitchen ceiling' }]);
+    assert.deepEqual(report.dptChanged, [{ id: 'ga.light.kitchen', ga: '1/1/1', from: '1.001', to: '5.001' }]);
+    assert.equal(report.flagsChanged.length, 1);
+    assert.equal(report.flagsChanged[0].to.transmitFlag, true);
+    assert.equal(report.unchanged, 0);
+    assert.deepEqual([...report.changedIds], ['ga.light.kitchen']);
+  });
+
+  it('does not report hand edits of the object as ETS changes', () => {
+    const edited = object('ga.light.kitchen', '1/1/1', 'Kitchen', { dpt: '5.001', overrides: { dpt: '5.001' } });
+    edited.common.name = 'My kitchen';
+    const report = diffEtsEntries([edited], [entry('ga.light.kitchen', '1/1/1', 'Kitchen')]);
+
+    assert.deepEqual([report.renamed, report.dptChanged], [[], []]);
+    assert.equal(report.unchanged, 1);
+  });
+
+  it('reports a GA in another group range as moved, not as removed and added', () => {
+    const report = diffEtsEntries(
+      [object('ga.light.kitchen', '1/1/1', 'Kitchen')],
+      [entry('ga.ground_floor.kitchen', '1/1/1', 'Kitchen')]
+    );
+
+    assert.deepEqual(report.moved, [{ ga: '1/1/1', from: 'ga.light.kitchen', to: 'ga.ground_floor.kitchen' }]);
+    assert.deepEqual([report.added, report.removed], [[], []]);
+    assert.deepEqual([...report.changedIds], ['ga.ground_floor.kitchen']);
+  });
+
+  it('matches by GA when an id now belongs to another address', () => {
+    const report = diffEtsEntries(
+      [object('ga.light.status', '1/1/1', 'Status'), object('ga.light.other', '1/1/2', 'Status')],
+      [entry('ga.light.status', '1/1/2', 'Status')]
+    );
+
+    assert.deepEqual(report.moved, [{ ga: '1/1/2', from: 'ga.light.other', to: 'ga.light.status' }]);
+    // the id is taken again, so the object of 1/1/1 is not reported as removed
+    assert.deepEqual(report.removed, []);
+  });
+
+  it('reports status GAs linked and unlinked by the project', () => {
+    const report = diffEtsEntries(
+      [
+        object('ga.light.kitchen', '1/1/1', 'Kitchen', { statusGa: '1/2/1', imported: { name: 'Kitchen', dpt: '1.001', flags: FLAGS, statusGa: '1/2/1' } }),
+        object('ga.light.hall', '1/1/2', 'Hall')
+      ],
+      [entry('ga.light.kitchen', '1/1/1', 'Kitchen', { statusGa: null }), entry('ga.light.hall', '1/1/2', 'Hall', { statusGa: '1/2/2' })]
+    );
+
+    assert.deepEqual(report.statusUnlinked, [{ id: 'ga.light.kitchen', ga: '1/1/1', statusGa: '1/2/1' }]);
+    assert.deepEqual(report.statusLinked, [{ id: 'ga.light.hall', ga: '1/1/2', statusGa: '1/2/2' }]);
+  });
+
+  it('does not unlink a status GA entered by hand', () => {
+    const manual = object('ga.light.kitchen', '1/1/1', 'Kitchen', { statusGa: '1/2/1', overrides: { statusGa: '1/2/1' } });
+    const report = diffEtsEntries([manual], [entry('ga.light.kitchen', '1/1/1', 'Kitchen', { statusGa: null })]);
+
+    assert.deepEqual(report.statusUnlinked, []);
+    assert.equal(report.unchanged, 1);
+  });
+});
+
+describe('resolveIdCollisions', () => {
+  it('appends the address to ids used by several GAs', () => {
+    const entries = [
+      { id: 'ga.light.Status', ga: '1/2/3' },
+      { id: 'ga.light.Status', ga: '1/2/4' },
+      { id: 'ga.light.Switch', ga: '1/1/3' }
+    ];
+    resolveIdCollisions(entries);
+
+    assert.deepEqual(entries.map((e) => e.id), ['ga.light.Status_1_2_3', 'ga.light.Status_1_2_4', 'ga.light.Switch']);
+  });
+
+  it('keeps ids that already end with the address', () => {
+    const entries = [
+      { id: 'ga.light.1_2_3', ga: '1/2/3' },
+      { id: 'ga.light.1_2_3', ga: '1/2/4' }
+    ];
+    resolveIdCollisions(entries);
+
+    assert.deepEqual(entries.map((e) => e.id), ['ga.light.1_2_3', 'ga.light.1_2_3_1_2_4']);
+  });
+});
@@ -0,0 +1,48 @@
+'use strict';
+
+const EventEmitter = require('node:events');
+const Module = require('node:module');
+const path = require('node:path');
+
+// main.js only needs the Adapter base class; the js-controller is not available here
+const fakeCorePath = path.join(__dirname, 'fake-adapter-core');
+
+class FakeAdapter extends EventEmitter {
+  constructor() {
+    super();
+    this.namespace = 'nexowatt-knx.0';
+    this.config = {};
+    this.log = { debug() {}, info() {}, warn() {}, error() {} };
+    /** @type {Array<{id:string, state:any}>} */
+    this.stateWrites = [];
+  }
+  setState(id, state, ack) {
+    this.stateWrites.push({ id, state: typeof state === 'object' && state !== null ? state : { val: state, ack: !!ack } });
+  }
+  async setStateAsync(id, state, ack) {
+    this.setState(id, state, ack);
+  }
+}
+
+/**
+ * Load main.js on top of `FakeAdapter`.
+ * @returns {(options: object) => any} adapter factory
+ */
+function loadAdapter() {
+  const resolve = Module._resolveFilename;
+  Module._resolveFilename = function (request, ...args) {
+    if (request === '@iobroker/adapter-core') return fakeCorePath;
+    return resolve.call(this, request, ...args);
+  };
+  require.cache[fakeCorePath] = /** @type {any} */ ({ id: fakeCorePath, filename: fakeCorePath, loaded: true, exports: { Adapter: FakeAdapter } });
+  try {
+    return require('../../main');
+  } finally {
+    Module._resolveFilename = resolve;
+  }
+}
+
+module.exports = {
+  FakeAdapter,
+  loadAdapter
+};
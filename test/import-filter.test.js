@@ -0,0 +1,95 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createImportFilter } = require('../lib/import-filter');
+const { groupAddressStringToNumber } = require('../lib/knx-utils');
+
+/**
+ * @param {string} address
+ * @param {object} [extra] rangePath, dpt, style
+ * @returns {{address:number, style:'ThreeLevel'|'TwoLevel'|'Free', rangePath:string[], dpt?:string}}
+ */
+function ga(address, extra = {}) {
+  return { address: /** @type {number} */ (groupAddressStringToNumber(address)), style: 'ThreeLevel', rangePath: [], ...extra };
+}
+
+/**
+ * @param {ReturnType<typeof createImportFilter>} filter
+ * @param {string[]} addresses
+ * @returns {string[]} the addresses the filter lets through
+ */
+const passing = (filter, addresses) => addresses.filter((a) => filter.matches(ga(a)));
+
+describe('createImportFilter', () => {
+  it('lets everything through without patterns', () => {
+    const filter = createImportFilter({ importIncludeGas: '', importExcludeRanges: ' ' });
+    assert.equal(filter.active, false);
+    assert.equal(filter.matches(ga('31/7/255')), true);
+  });
+
+  it('includes main groups, middle groups and single addresses', () => {
+    const filter = createImportFilter({ importIncludeGas: '1, 2/3; 4/0/7' });
+    assert.equal(filter.active, true);
+    assert.deepEqual(
+      passing(filter, ['1/0/0', '1/7/255', '2/3/0', '2/3/255', '2/4/0', '4/0/7', '4/0/8', '5/0/0']),
+      ['1/0/0', '1/7/255', '2/3/0', '2/3/255', '4/0/7']
+    );
+  });
+
+  it('includes address ranges whose ends may be groups', () => {
+    assert.deepEqual(
+      passing(createImportFilter({ importIncludeGas: '3/0/10-3/1/5' }), ['3/0/9', '3/0/10', '3/1/5', '3/1/6']),
+      ['3/0/10', '3/1/5']
+    );
+    assert.deepEqual(
+      passing(createImportFilter({ importIncludeGas: '3-4' }), ['2/7/255', '3/0/0', '4/7/255', '5/0/0']),
+      ['3/0/0', '4/7/255']
+    );
+    assert.deepEqual(
+      passing(createImportFilter({ importIncludeGas: '3/2-3/3' }), ['3/1/255', '3/2/0', '3/3/255', '3/4/0']),
+      ['3/2/0', '3/3/255']
+    );
+  });
+
+  it('excludes addresses and ranges, also from an include', () => {
+    const filter = createImportFilter({ importIncludeGas: '1', importExcludeGas: '1/7, 1/0/1-1/0/2' });
+    assert.deepEqual(passing(filter, ['1/0/0', '1/0/1', '1/0/2', '1/0/3', '1/7/0', '2/0/0']), ['1/0/0', '1/0/3']);
+  });
+
+  it('reads addresses in the two-level and free style', () => {
+    const twoLevel = createImportFilter({ importIncludeGas: '1/100-1/200' });
+    assert.equal(twoLevel.matches(ga('1/150', { style: 'TwoLevel' })), true);
+    assert.equal(twoLevel.matches(ga('1/201', { style: 'TwoLevel' })), false);
+
+    const free = createImportFilter({ importExcludeGas: '4660' });
+    assert.equal(free.matches(ga('4660', { style: 'Free' })), false);
+    assert.equal(free.matches(ga('4661', { style: 'Free' })), true);
+  });
+
+  it('matches group range names case-insensitively', () => {
+    const filter = createImportFilter({ importIncludeRanges: '^lighting/', importExcludeRanges: 'spare|reserve' });
+    assert.equal(filter.matches(ga('1/1/1', { rangePath: ['Lighting', 'Ground floor'] })), true);
+    assert.equal(filter.matches(ga('1/1/1', { rangePath: ['Lighting', 'Spare'] })), false);
+    assert.equal(filter.matches(ga('2/1/1', { rangePath: ['Blinds', 'Ground floor'] })), false);
+    assert.equal(filter.matches(ga('1/1/1', { rangePath: [] })), false);
+  });
+
+  it('matches DPTs by main type or subtype', () => {
+    const filter = createImportFilter({ importIncludeDpts: 'DPT-9, 1.1', importExcludeDpts: '9.007' });
+    assert.equal(filter.matches(ga('1/1/1', { dpt: '9.001' })), true);
+    assert.equal(filter.matches(ga('1/1/1', { dpt: '9.007' })), false);
+    assert.equal(filter.matches(ga('1/1/1', { dpt: '1.001' })), true);
+    assert.equal(filter.matches(ga('1/1/1', { dpt: '1.008' })), false);
+    assert.equal(filter.matches(ga('1/1/1', {})), false);
+  });
+
+  it('rejects invalid patterns instead of importing everything', () => {
+    assert.throws(() => createImportFilter({ importIncludeGas: '1/2/3/4' }), /Invalid group address filter: 1\/2\/3\/4/);
+    assert.throws(() => createImportFilter({ importExcludeGas: '1-2-3' }), /Invalid group address filter: 1-2-3/);
+    assert.throws(() => createImportFilter({ importIncludeGas: 'light' }), /Invalid group address filter/);
+    assert.throws(() => createImportFilter({ importIncludeDpts: 'DPST-1-1' }), /Invalid DPT filter/);
+    assert.throws(() => createImportFilter({ importExcludeRanges: '(' }), /Invalid exclude range regex/);
+  });
+});
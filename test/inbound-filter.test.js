@@ -0,0 +1,102 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseInboundFilter, evaluateInboundFilter } = require('../lib/inbound-filter');
+const { loadAdapter } = require('./helpers/adapter');
+
+describe('parseInboundFilter', () => {
+  it('returns undefined without any active filter', () => {
+    assert.equal(parseInboundFilter(undefined, undefined), undefined);
+    assert.equal(parseInboundFilter({ minInterval: 0, deadband: '' }, { enabled: true, inMinInterval: '' }), undefined);
+  });
+
+  it('reads native settings and lets enabled custom settings win', () => {
+    assert.deepEqual(parseInboundFilter({ minInterval: 2, deadband: 5, deadbandPercent: true }), {
+      minIntervalMs: 2000, deadband: 5, deadbandPercent: true, onlyOnChange: false
+    });
+    assert.deepEqual(parseInboundFilter({ minInterval: 2 }, { enabled: true, inMinInterval: 10, inOnlyOnChange: true }), {
+      minIntervalMs: 10000, deadband: 0, deadbandPercent: false, onlyOnChange: true
+    });
+    assert.equal(parseInboundFilter({ minInterval: 2 }, { enabled: false, inMinInterval: 10 })?.minIntervalMs, 2000);
+  });
+
+  it('ignores negative and invalid values', () => {
+    assert.equal(parseInboundFilter({ minInterval: -1, deadband: 'x' }), undefined);
+  });
+});
+
+describe('evaluateInboundFilter', () => {
+  const filter = (f) => ({ minIntervalMs: 0, deadband: 0, deadbandPercent: false, onlyOnChange: false, ...f });
+
+  it('stores the first value', () => {
+    assert.deepEqual(evaluateInboundFilter(filter({ onlyOnChange: true, minIntervalMs: 1000 }), undefined, 1, 0), { action: 'store' });
+  });
+
+  it('drops unchanged values with "only on change"', () => {
+    const f = filter({ onlyOnChange: true });
+    assert.deepEqual(evaluateInboundFilter(f, { val: true, ts: 0 }, true, 10), { action: 'drop' });
+    assert.deepEqual(evaluateInboundFilter(f, { val: true, ts: 0 }, false, 10), { action: 'store' });
+  });
+
+  it('drops values within an absolute or relative deadband', () => {
+    assert.deepEqual(evaluateInboundFilter(filter({ deadband: 5 }), { val: 100, ts: 0 }, 104.9, 10), { action: 'drop' });
+    assert.deepEqual(evaluateInboundFilter(filter({ deadband: 5 }), { val: 100, ts: 0 }, 95, 10), { action: 'store' });
+    assert.deepEqual(evaluateInboundFilter(filter({ deadband: 10, deadbandPercent: true }), { val: 200, ts: 0 }, 219, 10), { action: 'drop' });
+    assert.deepEqual(evaluateInboundFilter(filter({ deadband: 10, deadbandPercent: true }), { val: 200, ts: 0 }, 220, 10), { action: 'store' });
+    // not numeric: deadband does not apply
+    assert.deepEqual(evaluateInboundFilter(filter({ deadband: 5 }), { val: 'a', ts: 0 }, 'b', 10), { action: 'store' });
+  });
+
+  it('delays values inside the minimum interval for the rest of it', () => {
+    const f = filter({ minIntervalMs: 1000 });
+    assert.deepEqual(evaluateInboundFilter(f, { val: 1, ts: 0 }, 2, 300), { action: 'delay', wait: 700 });
+    assert.deepEqual(evaluateInboundFilter(f, { val: 1, ts: 0 }, 2, 1000), { action: 'store' });
+  });
+
+  it('checks change and deadband before the minimum interval', () => {
+    const f = filter({ minIntervalMs: 1000, deadband: 5 });
+    assert.deepEqual(evaluateInboundFilter(f, { val: 100, ts: 0 }, 101, 300), { action: 'drop' });
+    assert.deepEqual(evaluateInboundFilter(f, { val: 100, ts: 0 }, 120, 300), { action: 'delay', wait: 700 });
+  });
+});
+
+describe('inbound filter of the adapter', () => {
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  /**
+   * @param {object} inbound
+   * @returns {any} adapter with one mapped state `ga.temp`
+   */
+  function createAdapter(inbound) {
+    const adapter = loadAdapter()({});
+    adapter.metaByStateId.set('ga.temp', { ga: '1/1/1', dpt: '9.001', inbound, flags: {} });
+    return adapter;
+  }
+  const stored = (adapter) => adapter.stateWrites.filter((w) => w.id === 'ga.temp').map((w) => w.state.val);
+
+  it('stores a held back value after the minimum interval', async () => {
+    const adapter = createAdapter({ minIntervalMs: 50, deadband: 0, deadbandPercent: false, onlyOnChange: false });
+    await adapter.onKnxDatapointChange('ga.temp', null, 20);
+    await adapter.onKnxDatapointChange('ga.temp', 20, 21);
+    await adapter.onKnxDatapointChange('ga.temp', 21, 22);
+    assert.deepEqual(stored(adapter), [20]);
+
+    await wait(80);
+    assert.deepEqual(stored(adapter), [20, 22]);
+  });
+
+  it('drops a held back value when a newer one is filtered out', async () => {
+    const adapter = createAdapter({ minIntervalMs: 50, deadband: 1, deadbandPercent: false, onlyOnChange: false });
+    await adapter.onKnxDatapointChange('ga.temp', null, 20);
+    // held back by the minimum interval ...
+    await adapter.onKnxDatapointChange('ga.temp', 20, 25);
+    // ... and outdated by a value back within the deadband
+    await adapter.onKnxDatapointChange('ga.temp', 25, 20.5);
+
+    await wait(80);
+    assert.deepEqual(stored(adapter), [20]);
+    assert.equal(adapter.inboundPending.size, 0);
+  });
+});
@@ -0,0 +1,48 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadAdapter } = require('./helpers/adapter');
+
+describe('disposeKnxConnection', () => {
+  /**
+   * @returns {any} adapter recording its debug log
+   */
+  function createAdapter() {
+    const adapter = loadAdapter()({});
+    adapter.debugLog = [];
+    adapter.log = { ...adapter.log, debug: (msg) => adapter.debugLog.push(msg) };
+    return adapter;
+  }
+
+  it('clears timers, silences the state machine and closes the socket', async () => {
+    const adapter = createAdapter();
+    const calls = [];
+    let fired = false;
+    const conn = {
+      off: () => calls.push('off'),
+      transition: () => calls.push('transition'),
+      handle: () => calls.push('handle'),
+      Connect: () => calls.push('Connect'),
+      socket: { close: () => calls.push('close') },
+      connstatetimer: setTimeout(() => (fired = true), 10)
+    };
+
+    adapter.disposeKnxConnection(conn);
+    conn.transition('connecting');
+    conn.handle('connect');
+    conn.Connect();
+
+    assert.deepEqual(calls, ['off', 'close']);
+    assert.deepEqual(adapter.debugLog, []);
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    assert.equal(fired, false);
+  });
+
+  it('skips and logs internals a different knx.js version does not have', () => {
+    const adapter = createAdapter();
+    assert.doesNotThrow(() => adapter.disposeKnxConnection({ handle: () => undefined }));
+    assert.deepEqual(adapter.debugLog.map((m) => m.match(/"(\w+)"/)?.[1]), ['off', 'transition', 'Connect', 'socket']);
+  });
+});
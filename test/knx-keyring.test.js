@@ -0,0 +1,87 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+
+const { parseKeyring } = require('../lib/knx-keyring');
+
+const PASSWORD = 'keyring-secret';
+const CREATED = '2026-10-19T10:00:00';
+
+/**
+ * Encrypt like ETS: AES-128-CBC, key from PBKDF2 of the password, IV from the creation date.
+ * @param {Buffer} data multiple of 16 bytes
+ * @param {string} [password]
+ * @returns {string} base64
+ */
+function encrypt(data, password = PASSWORD) {
+  const key = crypto.pbkdf2Sync(Buffer.from(password, 'utf8'), '1.keyring.ets.knx.org', 65536, 16, 'sha256');
+  const iv = crypto.createHash('sha256').update(CREATED, 'utf8').digest().subarray(0, 16);
+  const cipher = crypto.createCipheriv('aes-128-cbc', key, iv);
+  cipher.setAutoPadding(false);
+  return Buffer.concat([cipher.update(data), cipher.final()]).toString('base64');
+}
+
+/**
+ * @param {string} text
+ * @returns {Buffer} 8 (here fixed) random bytes + text + padding, as in the keyring password attributes
+ */
+function passwordBlock(text) {
+  const body = Buffer.concat([Buffer.from('0102030405060708', 'hex'), Buffer.from(text, 'utf8')]);
+  const pad = 16 - (body.length % 16);
+  return Buffer.concat([body, Buffer.alloc(pad, pad)]);
+}
+
+const groupKey = Buffer.from('00112233445566778899aabbccddeeff', 'hex');
+const toolKey = Buffer.from('ffeeddccbbaa99887766554433221100', 'hex');
+
+/**
+ * @param {string} [password] password the keyring was exported with
+ * @returns {string}
+ */
+function buildKeyring(password) {
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    `<Keyring Project="Demo" Created="${CREATED}" Signature="x" xmlns="http://knx.org/xml/keyring/1">`,
+    `  <Backbone MulticastAddress="224.0.23.12" Latency="1000" Key="${encrypt(groupKey, password)}" />`,
+    `  <Interface Type="Tunneling" Host="1.1.0" IndividualAddress="1.1.250" UserID="2" Password="${encrypt(passwordBlock('tunnel-pw'), password)}">`,
+    '    <Group Address="2305" Senders="1.1.10" />',
+    '  </Interface>',
+    '  <GroupAddresses>',
+    `    <Group Address="2305" Key="${encrypt(groupKey, password)}" />`,
+    '  </GroupAddresses>',
+    '  <Devices>',
+    `    <Device IndividualAddress="1.1.10" ToolKey="${encrypt(toolKey, password)}" SequenceNumber="42" />`,
+    '  </Devices>',
+    '</Keyring>'
+  ].join('\n');
+}
+
+describe('parseKeyring', () => {
+  it('decrypts group keys, interfaces and devices', () => {
+    const keyring = parseKeyring(Buffer.from(buildKeyring()), PASSWORD);
+
+    assert.equal(keyring.project, 'Demo');
+    assert.deepEqual([...keyring.groupKeys.keys()], ['1/1/1']);
+    assert.deepEqual(keyring.groupKeys.get('1/1/1'), groupKey);
+    assert.deepEqual(keyring.backbone?.key, groupKey);
+    assert.equal(keyring.backbone?.latency, 1000);
+
+    assert.equal(keyring.interfaces.length, 1);
+    assert.equal(keyring.interfaces[0].password, 'tunnel-pw');
+    assert.equal(keyring.interfaces[0].userId, 2);
+    assert.deepEqual(keyring.interfaces[0].groups, ['1/1/1']);
+
+    assert.deepEqual(keyring.devices.get('1.1.10'), { toolKey, sequenceNumber: 42 });
+  });
+
+  it('rejects a wrong password when it cannot decrypt the interface passwords', () => {
+    assert.throws(() => parseKeyring(buildKeyring('other-secret'), PASSWORD), /password is wrong/);
+  });
+
+  it('rejects other files and a missing password', () => {
+    assert.throws(() => parseKeyring('<KNX />', PASSWORD), /not an ETS keyring/);
+    assert.throws(() => parseKeyring(buildKeyring(), ''), /No keyring password/);
+  });
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { coerceToKnxValue, isCoalescableDpt } = require('../lib/knx-utils');
+
+describe('coerceToKnxValue DPT 10 time', () => {
+  it('normalises HH:MM[:SS] with optional day of week', () => {
+    assert.equal(coerceToKnxValue('07:05', '10.001'), '7:5:0');
+    assert.equal(coerceToKnxValue('23:59:58', '10.001'), '23:59:58');
+    assert.equal(coerceToKnxValue('3/12:00:00', '10.001'), '3/12:0:0');
+  });
+
+  it('passes timestamps on as Date', () => {
+    const d = coerceToKnxValue('2026-10-19T10:00:00Z', '10.001');
+    assert.ok(d instanceof Date);
+    assert.equal(d.getTime(), Date.parse('2026-10-19T10:00:00Z'));
+    assert.equal(coerceToKnxValue(0, '10.001').getTime(), 0);
+  });
+
+  it('rejects invalid times', () => {
+    assert.throws(() => coerceToKnxValue('25:00', '10.001'), /Invalid time/);
+    assert.throws(() => coerceToKnxValue('noon', '10.001'), /Invalid time/);
+    assert.throws(() => coerceToKnxValue(true, '10.001'), /Invalid time/);
+  });
+});
+
+describe('coerceToKnxValue DPT 11 date', () => {
+  it('parses plain dates as local dates', () => {
+    for (const s of ['2026-10-19', '19.10.2026']) {
+      const d = coerceToKnxValue(s, '11.001');
+      assert.deepEqual([d.getFullYear(), d.getMonth(), d.getDate()], [2026, 9, 19]);
+    }
+  });
+
+  it('passes timestamps on as Date', () => {
+    const d = coerceToKnxValue('2026-10-19T10:00:00Z', '11.001');
+    assert.equal(d.getTime(), Date.parse('2026-10-19T10:00:00Z'));
+  });
+
+  it('rejects invalid dates and dates outside 1990 … 2089', () => {
+    assert.throws(() => coerceToKnxValue('2026-02-31', '11.001'), /Invalid date/);
+    assert.throws(() => coerceToKnxValue('tomorrow', '11.001'), /Invalid date/);
+    assert.throws(() => coerceToKnxValue('1989-12-31', '11.001'), /Invalid date/);
+    assert.throws(() => coerceToKnxValue(null, '11.001'), /Invalid date/);
+  });
+});
+
+describe('isCoalescableDpt', () => {
+  it('coalesces state DPTs', () => {
+    for (const dpt of ['1.001', '5.001', '9.001', '232.600', undefined]) assert.equal(isCoalescableDpt(dpt), true, dpt);
+  });
+
+  it('keeps every telegram of command DPTs', () => {
+    for (const dpt of ['3.007', '3.008', '1.017', '1.015', '17.001', '18.001', '26.001']) assert.equal(isCoalescableDpt(dpt), false, dpt);
+  });
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { collectOverrides, revertOverrides } = require('../lib/overrides');
+
+/**
+ * @param {object} native
+ * @param {object} [common]
+ * @returns {any} GA object as written by the last import, plus `native`/`common` changes
+ */
+function gaObject(native, common = {}) {
+  const imported = { name: 'Light', role: 'switch', unit: null, dpt: '1.001', flags: { readFlag: false, writeFlag: true, transmitFlag: true, updateFlag: false } };
+  return {
+    type: 'state',
+    common: { name: 'Light', role: 'switch', ...common },
+    native: { ga: '1/1/1', dpt: '1.001', flags: { ...imported.flags }, imported, generated: { role: 'switch', unit: null }, overrides: {}, ...native }
+  };
+}
+
+describe('collectOverrides', () => {
+  it('finds fields edited since the last import', () => {
+    const obj = gaObject({ dpt: '5.001' }, { name: 'Kitchen light' });
+    assert.deepEqual(collectOverrides(obj), { name: 'Kitchen light', dpt: '5.001' });
+  });
+
+  it('compares role and unit with what was derived from the effective DPT', () => {
+    const obj = gaObject({ dpt: '5.001', generated: { role: 'level.dimmer', unit: '%' }, overrides: { dpt: '5.001' } }, { role: 'level.dimmer', unit: '%' });
+    assert.deepEqual(collectOverrides(obj), { dpt: '5.001' });
+  });
+
+  it('keeps a status GA entered by hand, not one set by the import', () => {
+    const imported = gaObject({}).native.imported;
+    assert.deepEqual(collectOverrides(gaObject({ statusGa: '1/1/2', imported: { ...imported, statusGa: '1/1/2' } })), {});
+    assert.deepEqual(collectOverrides(gaObject({ statusGa: '1/1/5', imported: { ...imported, statusGa: '1/1/2' } })), { statusGa: '1/1/5' });
+    // link removed by hand
+    assert.deepEqual(collectOverrides(gaObject({ statusGa: null, imported: { ...imported, statusGa: '1/1/2' } })), { statusGa: null });
+    // source without status information (GA export, old objects)
+    assert.deepEqual(collectOverrides(gaObject({ statusGa: '1/1/5' })), { statusGa: '1/1/5' });
+    assert.deepEqual(collectOverrides(gaObject({})), {});
+  });
+});
+
+describe('revertOverrides', () => {
+  it('restores imported values', () => {
+    const obj = gaObject({ dpt: '5.001', overrides: { dpt: '5.001', name: 'Kitchen light' } }, { name: 'Kitchen light' });
+    revertOverrides(obj, 'name');
+    assert.equal(obj.common.name, 'Light');
+    assert.deepEqual(obj.native.overrides, { dpt: '5.001' });
+    revertOverrides(obj);
+    assert.equal(obj.native.dpt, '1.001');
+    assert.deepEqual(obj.native.overrides, {});
+  });
+
+  it('restores the imported status GA or removes a hand-made link', () => {
+    const imported = gaObject({}).native.imported;
+    const linked = gaObject({ statusGa: '1/1/5', imported: { ...imported, statusGa: '1/1/2' }, overrides: { statusGa: '1/1/5' } });
+    assert.equal(revertOverrides(linked, 'statusGa').native.statusGa, '1/1/2');
+
+    const manual = gaObject({ statusGa: '1/1/5', overrides: { statusGa: '1/1/5' } });
+    assert.equal(revertOverrides(manual, 'statusGa').native.statusGa, null);
+  });
+});
@@ -0,0 +1,148 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseTransform, transformCommon, sameTransform, transformInbound, transformOutbound } = require('../lib/value-transform');
+const { inferCommonFromDpt } = require('../lib/knx-utils');
+const { loadAdapter } = require('./helpers/adapter');
+
+describe('parseTransform', () => {
+  it('returns undefined when nothing is configured', () => {
+    assert.equal(parseTransform(undefined, undefined, '9.001'), undefined);
+    assert.equal(parseTransform({ invert: false, scale: 1, offset: 0, map: '' }, undefined, '9.001'), undefined);
+  });
+
+  it('lets enabled custom settings win over native ones', () => {
+    const t = parseTransform({ scale: 2, offset: 1 }, { enabled: true, trScale: '0.5', trOffset: '' }, '9.001');
+    assert.equal(t?.scale, 0.5);
+    assert.equal(t?.offset, 1);
+    assert.equal(parseTransform({ scale: 2 }, { enabled: false, trScale: 3 }, '9.001')?.scale, 2);
+  });
+
+  it('mirrors in the range of the given DPT', () => {
+    const t = parseTransform({ invert: true }, undefined, '5.001');
+    assert.deepEqual([t?.invertMin, t?.invertMax], [0, 100]);
+    assert.equal(parseTransform({ invert: true }, undefined, '5.010')?.invertMax, 255);
+  });
+
+  it('accepts a map as object or JSON string', () => {
+    assert.deepEqual([...(parseTransform({ map: { 1: 'comfort' } })?.map || [])], [['1', 'comfort']]);
+    assert.deepEqual([...(parseTransform({ map: '{"2":"standby"}' })?.map || [])], [['2', 'standby']]);
+  });
+
+  it('rejects an invalid scale or map', () => {
+    assert.throws(() => parseTransform({ scale: 0 }), /Invalid transform scale/);
+    assert.throws(() => parseTransform({ scale: 'x' }), /Invalid transform scale/);
+    assert.throws(() => parseTransform({ map: '{1:' }), /Invalid transform map/);
+  });
+});
+
+describe('transformInbound / transformOutbound', () => {
+  it('inverts booleans and mirrors numbers', () => {
+    const t = parseTransform({ invert: true }, undefined, '5.001');
+    assert.equal(transformInbound(t, true), false);
+    assert.equal(transformInbound(t, 30), 70);
+    assert.equal(transformOutbound(t, 70), 30);
+  });
+
+  it('scales and shifts in both directions', () => {
+    const t = parseTransform({ scale: 0.1, offset: -5 }, undefined, '7.001');
+    assert.equal(transformInbound(t, 250), 20);
+    assert.equal(transformOutbound(t, 20), 250);
+  });
+
+  it('maps bus values and restores numbers and booleans for the encoder', () => {
+    const t = parseTransform({ map: { 1: 'comfort', 2: 'standby' } }, undefined, '20.102');
+    assert.equal(transformInbound(t, 2), 'standby');
+    assert.equal(transformInbound(t, 4), 4);
+    assert.equal(transformOutbound(t, 'comfort'), 1);
+    assert.equal(transformOutbound(parseTransform({ map: { true: 'open' } }), 'open'), true);
+  });
+
+  it('passes null and undefined through', () => {
+    const t = parseTransform({ scale: 2 });
+    assert.equal(transformInbound(t, null), null);
+    assert.equal(transformOutbound(t, undefined), undefined);
+  });
+});
+
+describe('transformCommon', () => {
+  it('keeps common without a transform', () => {
+    const common = inferCommonFromDpt('9.001');
+    assert.equal(transformCommon(common, undefined), common);
+  });
+
+  it('transforms min/max and drops the unit when scaling', () => {
+    const common = transformCommon(inferCommonFromDpt('5.001'), parseTransform({ scale: -0.5, offset: 10 }, undefined, '5.001'));
+    assert.equal(common.min, -40);
+    assert.equal(common.max, 10);
+    assert.equal(common.unit, undefined);
+  });
+
+  it('rounds float noise off the range', () => {
+    const common = transformCommon(inferCommonFromDpt('5.010'), parseTransform({ scale: 0.4 }, undefined, '5.010'));
+    assert.equal(common.max, 102);
+  });
+
+  it('keeps range and unit when only inverting, and swaps boolean labels', () => {
+    const position = transformCommon(inferCommonFromDpt('5.001'), parseTransform({ invert: true }, undefined, '5.001'));
+    assert.deepEqual([position.min, position.max, position.unit], [0, 100, '%']);
+
+    const dpt1 = inferCommonFromDpt('1.009');
+    const inverted = transformCommon(dpt1, parseTransform({ invert: true }, undefined, '1.009'));
+    assert.deepEqual(inverted.states, { false: dpt1.states.true, true: dpt1.states.false });
+  });
+
+  it('drops range, unit and states for a map', () => {
+    const common = transformCommon(inferCommonFromDpt('20.102'), parseTransform({ map: { 1: 'comfort' } }, undefined, '20.102'));
+    assert.equal(common.min, undefined);
+    assert.equal(common.max, undefined);
+    assert.equal(common.states, undefined);
+  });
+});
+
+describe('sameTransform', () => {
+  it('compares settings including the map', () => {
+    assert.equal(sameTransform(undefined, undefined), true);
+    assert.equal(sameTransform(parseTransform({ scale: 2 }), parseTransform({ scale: 2 })), true);
+    assert.equal(sameTransform(parseTransform({ scale: 2 }), undefined), false);
+    assert.equal(sameTransform(parseTransform({ map: { 1: 'a' } }), parseTransform({ map: { 1: 'b' } })), false);
+  });
+});
+
+describe('transform of the adapter', () => {
+  it('uses the effective (override) DPT', () => {
+    const adapter = loadAdapter()({});
+    const meta = adapter.buildMeta('ga.pos', {
+      type: 'state',
+      common: {},
+      native: { ga: '1/1/1', dpt: '5.001', overrides: { dpt: '5.010' }, transform: { invert: true } }
+    });
+    assert.equal(meta.dpt, '5.010');
+    assert.equal(meta.transform?.invertMax, 255);
+  });
+
+  it('fits min/max/unit of the object to an edited transform and keeps a hand-edited unit', async () => {
+    const adapter = loadAdapter()({});
+    const updates = [];
+    adapter.extendObjectAsync = async (id, obj) => updates.push(obj);
+
+    const obj = {
+      type: 'state',
+      common: { name: 'Temp', type: 'number', unit: '°C', write: false },
+      native: { ga: '1/1/1', dpt: '9.001', transform: { scale: 1.8, offset: 32 }, generated: { role: 'value.temperature', unit: '°C' } }
+    };
+    await adapter.fitCommonToTransform('ga.temp', obj, adapter.buildMeta('ga.temp', obj));
+    assert.equal(updates.length, 1);
+    assert.equal(updates[0].common.unit, null);
+    assert.equal(updates[0].common.max, 1207401.728);
+    assert.deepEqual(updates[0].native, { generated: { unit: null } });
+
+    updates.length = 0;
+    obj.common.unit = '°F';
+    await adapter.fitCommonToTransform('ga.temp', obj, adapter.buildMeta('ga.temp', obj));
+    assert.equal(updates[0].common.unit, undefined);
+    assert.equal(updates[0].native, undefined);
+  });
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const { describe, it, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('node:events');
+
+const { loadAdapter } = require('./helpers/adapter');
+
+/**
+ * Minimal tunnelling connection: knx.js calls the write callback right after the UDP send
+ * and echoes the telegram locally, long before the gateway confirms it.
+ */
+class FakeConnection extends EventEmitter {
+  write(ga, value, dpt, cb) {
+    if (cb) cb();
+    this.emit(`event_${ga}`, 'GroupValue_Write', '1.1.250', Buffer.from([value ? 1 : 0]));
+  }
+}
+
+let createAdapter;
+
+before(() => {
+  createAdapter = loadAdapter();
+});
+
+describe('write confirmation', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = createAdapter({});
+    adapter.config = { writeConfirmation: 'confirm', writeConfirmTimeoutMs: 5000 };
+    adapter.knxConnection = new FakeConnection();
+    adapter.metaByStateId.set('ga.light', { ga: '1/1/1', dpt: '1.001', flags: { readFlag: false, writeFlag: true, transmitFlag: true, updateFlag: true } });
+    adapter.stateIdsByGa.set('1/1/1', ['ga.light']);
+    adapter.createDatapoints();
+  });
+
+  afterEach(() => {
+    for (const pending of adapter.pendingWrites.values()) clearTimeout(pending.timer);
+    clearTimeout(adapter.txStatsTimer);
+  });
+
+  /** @returns {any[]} acknowledged writes of the test state */
+  const acks = () => adapter.stateWrites.filter((w) => w.id === 'ga.light' && w.state.ack).map((w) => w.state);
+
+  /**
+   * A telegram from another device, dispatched in the order knx.js uses: datapoints first, then `event`.
+   * @param {string} ga
+   * @param {Buffer} data
+   */
+  const receive = (ga, data) => {
+    adapter.knxConnection.emit(`event_${ga}`, 'GroupValue_Write', '1.1.10', data);
+    adapter.onKnxBusEvent('GroupValue_Write', '1.1.10', ga, data);
+  };
+
+  it('acknowledges only after L_Data.con, not on the local echo', async () => {
+    await adapter.onStateChange('nexowatt-knx.0.ga.light', { val: true, ack: false });
+    adapter.dequeueKnx(Date.now()).fn();
+
+    assert.deepEqual(acks(), []);
+    assert.ok(adapter.pendingWrites.has('ga.light'));
+
+    adapter.onKnxWriteConfirmed('1/1/1');
+    assert.deepEqual(acks(), [{ val: true, ack: true, q: 0 }]);
+    assert.equal(adapter.pendingWrites.size, 0);
+  });
+
+  it('acknowledges on the status GA when there is one', async () => {
+    adapter.metaByStateId.get('ga.light').statusGa = '1/1/2';
+    adapter.createDatapoints();
+
+    await adapter.onStateChange('nexowatt-knx.0.ga.light', { val: true, ack: false });
+    adapter.dequeueKnx(Date.now()).fn();
+    adapter.onKnxWriteConfirmed('1/1/1');
+    assert.deepEqual(acks(), []);
+
+    receive('1/1/2', Buffer.from([1]));
+    assert.deepEqual(acks().at(-1), { val: true, ack: true, q: 0 });
+    assert.equal(adapter.pendingWrites.size, 0);
+  });
+
+  it('acknowledges the reported status when it differs from the command', async () => {
+    adapter.metaByStateId.get('ga.light').statusGa = '1/1/2';
+    adapter.createDatapoints();
+
+    await adapter.onStateChange('nexowatt-knx.0.ga.light', { val: true, ack: false });
+    adapter.dequeueKnx(Date.now()).fn();
+    receive('1/1/2', Buffer.from([0]));
+    // let the inbound store of the feedback datapoint finish
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.ok(acks().length > 0);
+    assert.ok(acks().every((s) => s.val === false), JSON.stringify(acks()));
+    assert.equal(adapter.pendingWrites.size, 0);
+  });
+});
@@ -0,0 +1,45 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseAttributes, scanTags } = require('../lib/xml-lite');
+
+describe('parseAttributes', () => {
+  it('reads attributes and decodes entities', () => {
+    assert.deepEqual(parseAttributes(' Name="Kitchen &amp; dining &quot;east&quot;" Address="1/1/1" ns:Id = "a&lt;b&gt;c&apos;"'), {
+      Name: 'Kitchen & dining "east"',
+      Address: '1/1/1',
+      'ns:Id': "a<b>c'"
+    });
+  });
+
+  it('returns an empty object without attributes', () => {
+    assert.deepEqual(parseAttributes(''), {});
+  });
+});
+
+describe('scanTags', () => {
+  const xml = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<!-- exported by ETS -->',
+    '<Root Version="1">',
+    '  <Item Id="a" />',
+    '  <Item Id="b"></Item>',
+    '</Root>'
+  ].join('\n');
+
+  it('lists start, self-closing and end tags in document order, without declaration and comments', () => {
+    assert.deepEqual(scanTags(xml), [
+      { tag: 'Root', attrs: { Version: '1' }, selfClosing: false, close: false },
+      { tag: 'Item', attrs: { Id: 'a' }, selfClosing: true, close: false },
+      { tag: 'Item', attrs: { Id: 'b' }, selfClosing: false, close: false },
+      { tag: 'Item', attrs: {}, selfClosing: false, close: true },
+      { tag: 'Root', attrs: {}, selfClosing: false, close: true }
+    ]);
+  });
+
+  it('restricts the result to the given tag names', () => {
+    assert.deepEqual(scanTags(xml, new Set(['Item'])).map((t) => `${t.close ? '/' : ''}${t.attrs.Id || ''}`), ['a', 'b', '/']);
+  });
+});
@@ -0,0 +1,259 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const zlib = require('node:zlib');
+
+const { ZipPasswordError, readZip, extractEntry, writeZip } = require('../lib/zip-lite');
+const { unlockEtsProject, ets6ZipPassword } = require('../lib/ets-import');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+const crc32Byte = (crc, b) => (CRC_TABLE[(crc ^ b) & 0xff] ^ (crc >>> 8)) >>> 0;
+const crc32 = (buf) => (buf.reduce((crc, b) => crc32Byte(crc, b), 0xffffffff) ^ 0xffffffff) >>> 0;
+
+/**
+ * ZipCrypto key stream of a password.
+ * @param {Buffer} password
+ * @returns {{next: () => number, update: (b:number) => void}}
+ */
+function zipCryptoKeys(password) {
+  let k0 = 0x12345678;
+  let k1 = 0x23456789;
+  let k2 = 0x34567890;
+  const update = (b) => {
+    k0 = crc32Byte(k0, b);
+    k1 = (Math.imul((k1 + (k0 & 0xff)) >>> 0, 134775813) + 1) >>> 0;
+    k2 = crc32Byte(k2, k1 >>> 24);
+  };
+  for (const b of password) update(b);
+  const next = () => {
+    const t = (k2 | 2) & 0xffff;
+    return (Math.imul(t, t ^ 1) >>> 8) & 0xff;
+  };
+  return { next, update };
+}
+
+// fixed "random" bytes of the ZipCrypto header, so a wrong password found below stays the same
+const HEADER = Buffer.from('0123456789abcdef012345', 'hex');
+
+/**
+ * @param {Buffer} compressed
+ * @param {string} password
+ * @param {number} crc
+ * @returns {Buffer} 12 byte header + data
+ */
+function encryptZipCrypto(compressed, password, crc) {
+  const keys = zipCryptoKeys(Buffer.from(password, 'utf8'));
+  const plain = Buffer.concat([HEADER, Buffer.from([crc >>> 24]), compressed]);
+  const out = Buffer.alloc(plain.length);
+  for (let i = 0; i < plain.length; i++) {
+    out[i] = plain[i] ^ keys.next();
+    keys.update(plain[i]);
+  }
+  return out;
+}
+
+/**
+ * WinZip AES-256.
+ * @param {Buffer} compressed
+ * @param {string} password
+ * @returns {Buffer} salt + verifier + data + MAC
+ */
+function encryptWinZipAes(compressed, password) {
+  const salt = Buffer.alloc(16, 7);
+  const derived = crypto.pbkdf2Sync(Buffer.from(password, 'utf8'), salt, 1000, 66, 'sha1');
+  const blocks = Math.ceil(compressed.length / 16);
+  const counters = Buffer.alloc(blocks * 16);
+  for (let i = 0; i < blocks; i++) counters.writeUInt32LE(i + 1, i * 16);
+  const cipher = crypto.createCipheriv('aes-256-ecb', derived.subarray(0, 32), null);
+  cipher.setAutoPadding(false);
+  const stream = Buffer.concat([cipher.update(counters), cipher.final()]);
+  const data = Buffer.from(compressed.map((b, i) => b ^ stream[i]));
+  const mac = crypto.createHmac('sha1', derived.subarray(32, 64)).update(data).digest().subarray(0, 10);
+  return Buffer.concat([salt, derived.subarray(64), data, mac]);
+}
+
+/**
+ * Deflated entry, optionally encrypted.
+ * @param {string} name
+ * @param {string} text
+ * @param {{password?: string, aes?: 1|2}} [options]
+ * @returns {{name:string, data:Buffer, method:number, flags:number, crc:number, size:number, extra:Buffer}}
+ */
+function entry(name, text, options = {}) {
+  const plain = Buffer.from(text, 'utf8');
+  const compressed = zlib.deflateRawSync(plain);
+  const crc = crc32(plain);
+  const base = { name, method: 8, flags: 0, crc, size: plain.length, extra: Buffer.alloc(0), data: compressed };
+  if (!options.password) return base;
+
+  if (!options.aes) return { ...base, flags: 0x01, data: encryptZipCrypto(compressed, options.password, crc) };
+
+  const extra = Buffer.alloc(11);
+  extra.writeUInt16LE(0x9901, 0);
+  extra.writeUInt16LE(7, 2);
+  extra.writeUInt16LE(options.aes, 4);
+  extra.write('AE', 6, 'latin1');
+  extra[8] = 3;
+  extra.writeUInt16LE(8, 9);
+  // AE-2 stores no CRC
+  return { ...base, method: 99, flags: 0x01, crc: options.aes === 2 ? 0 : crc, extra, data: encryptWinZipAes(compressed, options.password) };
+}
+
+/**
+ * ZIP file with the given (already compressed/encrypted) entries.
+ * @param {Array<ReturnType<typeof entry>>} entries
+ * @returns {Buffer}
+ */
+function buildZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const e of entries) {
+    const name = Buffer.from(e.name, 'utf8');
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(e.flags, 6);
+    local.writeUInt16LE(e.method, 8);
+    local.writeUInt32LE(e.crc, 14);
+    local.writeUInt32LE(e.data.length, 18);
+    local.writeUInt32LE(e.size, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(e.extra.length, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(e.flags, 8);
+    central.writeUInt16LE(e.method, 10);
+    central.writeUInt32LE(e.crc, 16);
+    central.writeUInt32LE(e.data.length, 20);
+    central.writeUInt32LE(e.size, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt16LE(e.extra.length, 30);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, name, e.extra, e.data);
+    centrals.push(central, name, e.extra);
+    offset += 30 + name.length + e.extra.length + e.data.length;
+  }
+  const cd = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(entries.length, 8);
+  eocd.writeUInt16LE(entries.length, 10);
+  eocd.writeUInt32LE(cd.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, cd, eocd]);
+}
+
+/**
+ * A wrong password that passes the ZipCrypto check byte of `encrypted`, so decryption yields garbage.
+ * @param {ReturnType<typeof entry>} encrypted
+ * @returns {string}
+ */
+function findLuckyPassword(encrypted) {
+  for (let i = 0; i < 100000; i++) {
+    const candidate = `wrong-${i}`;
+    const keys = zipCryptoKeys(Buffer.from(candidate, 'utf8'));
+    let b = 0;
+    for (let j = 0; j < 12; j++) {
+      b = encrypted.data[j] ^ keys.next();
+      keys.update(b);
+    }
+    if (b === encrypted.crc >>> 24) return candidate;
+  }
+  throw new Error('no candidate found');
+}
+
+const XML = '<?xml version="1.0" encoding="utf-8"?><KNX><Project Id="P-0123" /></KNX>'.repeat(4);
+
+describe('zip-lite', () => {
+  it('writes and reads stored entries', () => {
+    const entries = readZip(writeZip([{ name: 'a.xml', data: Buffer.from('<a />') }, { name: 'ü/b.txt', data: Buffer.alloc(0) }]));
+    assert.deepEqual(entries.map((e) => e.name), ['a.xml', 'ü/b.txt']);
+    assert.equal(extractEntry(entries[0]).toString(), '<a />');
+    assert.equal(extractEntry(entries[1]).length, 0);
+  });
+
+  it('inflates deflated entries', () => {
+    const [e] = readZip(buildZip([entry('0.xml', XML)]));
+    assert.equal(extractEntry(e).toString(), XML);
+  });
+
+  it('decrypts ZipCrypto and WinZip AES (AE-1, AE-2) entries', () => {
+    const entries = readZip(buildZip([
+      entry('zipcrypto.xml', XML, { password: 'secret' }),
+      entry('ae1.xml', XML, { password: 'secret', aes: 1 }),
+      entry('ae2.xml', XML, { password: 'secret', aes: 2 })
+    ]));
+    for (const e of entries) assert.equal(extractEntry(e, 'secret').toString(), XML, e.name);
+  });
+
+  it('rejects a missing or wrong password', () => {
+    const [zipCrypto, aes] = readZip(buildZip([entry('z.xml', XML, { password: 'secret' }), entry('a.xml', XML, { password: 'secret', aes: 2 })]));
+    for (const e of [zipCrypto, aes]) {
+      assert.throws(() => extractEntry(e), ZipPasswordError);
+      assert.throws(() => extractEntry(e, 'other'), ZipPasswordError);
+    }
+  });
+
+  it('rejects a wrong password that passes the ZipCrypto check byte before inflating garbage', () => {
+    const encrypted = entry('z.xml', XML, { password: 'secret' });
+    const lucky = findLuckyPassword(encrypted);
+    const [e] = readZip(buildZip([encrypted]));
+    assert.throws(() => extractEntry(e, lucky), (err) => err instanceof ZipPasswordError && /Wrong password for z\.xml/.test(err.message));
+  });
+
+  it('reports damaged unencrypted data without a zlib error', () => {
+    const damaged = { ...entry('0.xml', XML), data: Buffer.from([0xff, 0xff, 0xff, 0xff]) };
+    assert.throws(() => extractEntry(readZip(buildZip([damaged]))[0]), /Damaged ZIP entry 0\.xml/);
+  });
+});
+
+describe('unlockEtsProject', () => {
+  /**
+   * @param {Array<ReturnType<typeof entry>>} projectEntries entries of the inner P-0123.zip
+   * @returns {Buffer} protected .knxproj
+   */
+  function protectedProject(projectEntries) {
+    return writeZip([
+      { name: 'knx_master.xml', data: Buffer.from('<KNX />') },
+      { name: 'P-0123.zip', data: buildZip(projectEntries) }
+    ]);
+  }
+
+  const unpacked = (file) => Object.fromEntries(readZip(file).map((e) => [e.name, extractEntry(e).toString()]));
+
+  it('returns unprotected projects unchanged', () => {
+    const file = writeZip([{ name: 'P-0123/0.xml', data: Buffer.from(XML) }]);
+    assert.equal(unlockEtsProject(file, 'secret'), file);
+  });
+
+  it('unpacks an ETS 5 project encrypted with the password itself', () => {
+    const file = protectedProject([entry('0.xml', XML, { password: 'secret' })]);
+    assert.deepEqual(unpacked(unlockEtsProject(file, 'secret')), { 'knx_master.xml': '<KNX />', 'P-0123/0.xml': XML });
+  });
+
+  it('unpacks an ETS 6 project encrypted with the hashed password', () => {
+    const zipPassword = ets6ZipPassword('secret');
+    assert.equal(Buffer.from(zipPassword, 'base64').length, 32);
+    assert.equal(ets6ZipPassword('secret'), zipPassword);
+    assert.notEqual(ets6ZipPassword('Secret'), zipPassword);
+
+    const file = protectedProject([entry('0.xml', XML, { password: zipPassword, aes: 2 }), entry('project.xml', '<Project />', { password: zipPassword, aes: 2 })]);
+    assert.deepEqual(unpacked(unlockEtsProject(file, 'secret')), { 'knx_master.xml': '<KNX />', 'P-0123/0.xml': XML, 'P-0123/project.xml': '<Project />' });
+  });
+
+  it('rejects a missing or wrong password with a clean error', () => {
+    const encrypted = entry('0.xml', XML, { password: 'secret' });
+    const file = protectedProject([encrypted]);
+    assert.throws(() => unlockEtsProject(file, ''), /no project password is configured/);
+    assert.throws(() => unlockEtsProject(file, 'other'), /^Error: ETS project password is wrong$/);
+    assert.throws(() => unlockEtsProject(file, findLuckyPassword(encrypted)), /^Error: ETS project password is wrong$/);
+  });
+});